@@ -0,0 +1,143 @@
+// Scheduled releases generated from AniList airing times. Synced entries are
+// marked source: 'anilist' and keyed by AniList's airing id; entries created
+// by hand have source: 'manual' (or no source, from before syncing existed)
+// and are never touched by a sync.
+const SCHEDULE_TIME_ZONE = 'Asia/Manila';
+
+// Upcoming episodes turned into schedule entries per anime
+const DEFAULT_EPISODE_LIMIT = 3;
+
+// Fields a sync owns on a synced entry. Everything else (notes, the Tagalog
+// dub flag, edits to other fields) belongs to the admin and survives a resync.
+const SYNCED_FIELDS = ['title', 'thumbnail', 'releaseDate', 'episode', 'airingId'];
+
+const isSynced = (entry) => entry.source === 'anilist';
+
+// "2026-10-20T23:30:00+08:00" for a date in `timeZone`. The offset is worked
+// out from the local wall-clock time, since Intl's longOffset time zone
+// names need Node 17+.
+const toZonedIsoString = (date, timeZone = SCHEDULE_TIME_ZONE) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  const offsetMinutes = Math.round((wallClock - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+  const pad = (value) => String(value).padStart(2, '0');
+  const offset = `${offsetMinutes < 0 ? '-' : '+'}${pad(Math.floor(Math.abs(offsetMinutes) / 60))}:${pad(Math.abs(offsetMinutes) % 60)}`;
+
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}${offset}`;
+};
+
+// Upcoming airings of an AniList Media, soonest first
+const upcomingAirings = (media, now) => {
+  const airings = new Map();
+  [media.nextAiringEpisode, ...((media.airingSchedule && media.airingSchedule.nodes) || [])]
+    .filter(airing => airing && airing.airingAt * 1000 > now)
+    .forEach(airing => airings.set(airing.id, airing));
+
+  return [...airings.values()].sort((a, b) => a.airingAt - b.airingAt);
+};
+
+// Work out the storage ops that bring the synced schedule of `animeIds` in
+// line with AniList.
+//   mediaById      Map of id -> AniList Media with nextAiringEpisode and airingSchedule
+//   existing       current scheduled entries
+//   hasTagalogDub  (animeId) -> flag for newly created entries
+// Synced entries still in the future that AniList no longer lists (the
+// episode moved or the show ended) are removed, unless an admin added notes.
+// Returns { ops, created, updated, removed, unchanged, skipped }.
+const planScheduleSync = ({
+  animeIds,
+  mediaById,
+  existing,
+  hasTagalogDub,
+  limit = DEFAULT_EPISODE_LIMIT,
+  now = Date.now(),
+  timeZone = SCHEDULE_TIME_ZONE
+}) => {
+  const result = { ops: [], created: [], updated: [], removed: [], unchanged: 0, skipped: [] };
+  const syncedAt = new Date(now).toISOString();
+
+  animeIds.forEach(animeId => {
+    const media = mediaById.get(animeId);
+    if (!media) {
+      result.skipped.push({ animeId, reason: 'not found on AniList' });
+      return;
+    }
+
+    const synced = existing.filter(entry => entry.animeId === animeId && isSynced(entry));
+    const matched = new Set();
+    const airings = upcomingAirings(media, now).slice(0, limit);
+
+    if (airings.length === 0) {
+      result.skipped.push({ animeId, reason: `no upcoming episodes (${media.status || 'unknown status'})` });
+    }
+
+    airings.forEach(airing => {
+      const fields = {
+        title: media.title?.english || media.title?.romaji || '',
+        thumbnail: media.coverImage?.extraLarge || media.coverImage?.large || '',
+        releaseDate: toZonedIsoString(new Date(airing.airingAt * 1000), timeZone),
+        episode: airing.episode,
+        airingId: airing.id.toString()
+      };
+
+      // Same airing, or the same episode under a new airing id
+      const current = synced.find(entry => entry.airingId === fields.airingId) ||
+        synced.find(entry => entry.episode === fields.episode && !matched.has(entry.id));
+
+      if (!current) {
+        const entry = {
+          id: `anilist-${fields.airingId}`,
+          animeId,
+          ...fields,
+          notes: '',
+          hasTagalogDub: hasTagalogDub(animeId),
+          source: 'anilist',
+          syncedAt,
+          dateAdded: syncedAt
+        };
+        result.ops.push({ type: 'put', collection: 'scheduled', record: entry });
+        result.created.push(entry);
+        return;
+      }
+
+      matched.add(current.id);
+      if (SYNCED_FIELDS.every(field => current[field] === fields[field])) {
+        result.unchanged++;
+        return;
+      }
+
+      const entry = { ...current, ...fields, syncedAt };
+      result.ops.push({ type: 'put', collection: 'scheduled', record: entry });
+      result.updated.push(entry);
+    });
+
+    synced
+      .filter(entry => !matched.has(entry.id) && new Date(entry.releaseDate).getTime() > now && !entry.notes)
+      .forEach(entry => {
+        result.ops.push({ type: 'delete', collection: 'scheduled', id: entry.id });
+        result.removed.push(entry);
+      });
+  });
+
+  return result;
+};
+
+module.exports = {
+  DEFAULT_EPISODE_LIMIT,
+  SCHEDULE_TIME_ZONE,
+  SYNCED_FIELDS,
+  isSynced,
+  planScheduleSync,
+  toZonedIsoString
+};
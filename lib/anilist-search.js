@@ -0,0 +1,84 @@
+const { createParamReader } = require('./query-params');
+
+// Query parameters accepted by GET /api/search, turned into variables for
+// the AniList search query. Enum values are matched case-insensitively.
+const SEASONS = ['WINTER', 'SPRING', 'SUMMER', 'FALL'];
+const FORMATS = ['TV', 'TV_SHORT', 'MOVIE', 'SPECIAL', 'OVA', 'ONA', 'MUSIC'];
+const STATUSES = ['FINISHED', 'RELEASING', 'NOT_YET_RELEASED', 'CANCELLED', 'HIATUS'];
+
+const DEFAULT_PER_PAGE = 10;
+const MAX_PER_PAGE = 50; // AniList's page size limit
+
+// Filters that narrow the results; a search needs a text query or at least one of these
+const FILTERS = ['genre', 'season', 'seasonYear', 'format', 'status', 'country', 'isAdult'];
+
+// Returns { variables, errors }
+const parseSearchParams = (params) => {
+  const errors = [];
+  const variables = {};
+  const { given, intParam } = createParamReader(params, errors);
+
+  const enumParam = (name, allowed, variable = name) => {
+    if (!given(name)) return;
+    const value = String(params[name]).trim().toUpperCase();
+    if (allowed.includes(value)) {
+      variables[variable] = value;
+    } else {
+      errors.push({ path: name, message: `must be one of ${allowed.join(', ')}` });
+    }
+  };
+
+  const query = typeof params.query === 'string' ? params.query.trim() : '';
+  if (query) variables.search = query;
+
+  variables.page = intParam('page', { min: 1, max: 10000, fallback: 1 });
+  variables.perPage = intParam('perPage', { min: 1, max: MAX_PER_PAGE, fallback: DEFAULT_PER_PAGE });
+
+  // "Action,Comedy" matches anime with all of the listed genres
+  if (params.genre) {
+    const genres = String(params.genre).split(',').map(genre => genre.trim()).filter(Boolean);
+    if (genres.length > 0) variables.genres = genres;
+  }
+
+  enumParam('season', SEASONS);
+  enumParam('format', FORMATS);
+  enumParam('status', STATUSES);
+
+  const seasonYear = intParam('seasonYear', { min: 1900, max: 2100 });
+  if (seasonYear !== undefined) variables.seasonYear = seasonYear;
+
+  if (given('country')) {
+    const country = String(params.country).trim().toUpperCase();
+    if (/^[A-Z]{2}$/.test(country)) {
+      variables.countryOfOrigin = country;
+    } else {
+      errors.push({ path: 'country', message: 'must be a two-letter country code such as JP' });
+    }
+  }
+
+  if (given('isAdult')) {
+    if (params.isAdult === 'true' || params.isAdult === 'false') {
+      variables.isAdult = params.isAdult === 'true';
+    } else {
+      errors.push({ path: 'isAdult', message: 'must be true or false' });
+    }
+  }
+
+  if (!query && !FILTERS.some(given)) {
+    errors.push({ path: 'query', message: 'a search term or at least one filter is required' });
+  }
+
+  // Best matches first for text searches, most popular first for browsing
+  variables.sort = query ? ['SEARCH_MATCH'] : ['POPULARITY_DESC'];
+
+  return { variables, errors };
+};
+
+module.exports = {
+  FILTERS,
+  FORMATS,
+  MAX_PER_PAGE,
+  SEASONS,
+  STATUSES,
+  parseSearchParams
+};
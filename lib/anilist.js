@@ -0,0 +1,263 @@
+const axios = require('axios');
+
+// AniList accepts at most 50 items per page
+const MAX_PAGE_SIZE = 50;
+
+// Error codes for requests that failed because of AniList, not the request
+//   ANILIST_RATE_LIMITED  still throttled (HTTP 429) after retrying
+//   ANILIST_UNAVAILABLE   network / server errors after retrying, or the
+//                         circuit breaker is open
+const RATE_LIMITED = 'ANILIST_RATE_LIMITED';
+const UNAVAILABLE = 'ANILIST_UNAVAILABLE';
+
+const anilistError = (message, code, { cause, retryAfterMs } = {}) => {
+  const error = new Error(message);
+  error.code = code;
+  if (cause) error.cause = cause;
+  if (retryAfterMs) error.retryAfterMs = retryAfterMs;
+  return error;
+};
+
+const isAniListUnavailable = (error) => Boolean(error) && (error.code === RATE_LIMITED || error.code === UNAVAILABLE);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Retry-After is either a number of seconds or an HTTP date
+const parseRetryAfter = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// Run `worker` over every item, at most `limit` at a time. Results keep the
+// order of `items`.
+const mapWithConcurrency = async (items, limit, worker) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const run = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+  return results;
+};
+
+// Client for the AniList GraphQL API.
+//   request(query, variables)  one GraphQL call, resolves to the response body
+//   fetchMediaByIds(ids)       Map of id -> Media for many ids, fetched in
+//                              pages of `pageSize` with `mediaBatchQuery` (or
+//                              another query of the same shape via { query })
+//   state()                    rate limit and circuit breaker status
+//
+// `mediaBatchQuery` takes $ids: [Int] and $perPage: Int and returns
+// Page.media. Ids AniList doesn't know, or whose page failed, are simply
+// missing from the result; failed pages are logged.
+//
+// Requests honour the X-RateLimit-* and Retry-After headers: when AniList says
+// we're out of requests, new ones wait for the reset instead of piling up
+// 429s. Throttled, network and 5xx failures are retried with exponential
+// backoff. After `failureThreshold` requests in a row have failed the circuit
+// opens and requests fail straight away for `cooldownMs`; then a single trial
+// request decides whether it closes again.
+const createAniListClient = ({
+  endpoint,
+  mediaBatchQuery,
+  pageSize = MAX_PAGE_SIZE,
+  concurrency = 2,
+  timeoutMs = 15000,
+  maxRetries = 3,
+  baseDelayMs = 500,
+  maxDelayMs = 30000,
+  maxWaitMs = 60000, // Longest Retry-After we'll wait out; longer ones fail fast
+  failureThreshold = 5,
+  cooldownMs = 60000
+}) => {
+  const perPage = Math.min(pageSize, MAX_PAGE_SIZE);
+
+  const rateLimit = { limit: null, remaining: null, resetAt: null };
+  let throttledUntil = 0;
+
+  const circuit = {
+    state: 'closed', // closed | open | half-open
+    consecutiveFailures: 0,
+    openedAt: null,
+    trialInFlight: false,
+    lastError: null,
+    lastFailureAt: null,
+    lastSuccessAt: null
+  };
+
+  const readRateLimitHeaders = (headers = {}) => {
+    const limit = parseInt(headers['x-ratelimit-limit']);
+    const remaining = parseInt(headers['x-ratelimit-remaining']);
+    const reset = parseInt(headers['x-ratelimit-reset']); // Unix seconds
+
+    if (!isNaN(limit)) rateLimit.limit = limit;
+    if (!isNaN(remaining)) rateLimit.remaining = remaining;
+    if (!isNaN(reset)) rateLimit.resetAt = new Date(reset * 1000).toISOString();
+
+    if (rateLimit.remaining === 0 && !isNaN(reset)) {
+      throttledUntil = Math.max(throttledUntil, reset * 1000);
+    }
+  };
+
+  const recordSuccess = () => {
+    if (circuit.state !== 'closed') console.log('AniList is responding again, closing circuit');
+    circuit.state = 'closed';
+    circuit.consecutiveFailures = 0;
+    circuit.openedAt = null;
+    circuit.lastSuccessAt = new Date().toISOString();
+  };
+
+  const recordFailure = (error) => {
+    circuit.consecutiveFailures++;
+    circuit.lastError = error.message;
+    circuit.lastFailureAt = new Date().toISOString();
+
+    if (circuit.state === 'half-open' || circuit.consecutiveFailures >= failureThreshold) {
+      if (circuit.state !== 'open') {
+        console.error(`AniList failed ${circuit.consecutiveFailures} times in a row, opening circuit for ${cooldownMs / 1000}s`);
+      }
+      circuit.state = 'open';
+      circuit.openedAt = Date.now();
+    }
+  };
+
+  // Throw if the circuit is open; let one trial through once the cooldown is over
+  const checkCircuit = () => {
+    if (circuit.state === 'closed') return false;
+
+    const retryAt = circuit.openedAt + cooldownMs;
+    if (circuit.state === 'open' && Date.now() >= retryAt) {
+      circuit.state = 'half-open';
+    }
+
+    if (circuit.state === 'half-open' && !circuit.trialInFlight) {
+      circuit.trialInFlight = true;
+      return true;
+    }
+
+    throw anilistError('AniList is unavailable (circuit open)', UNAVAILABLE, {
+      retryAfterMs: Math.max(0, retryAt - Date.now())
+    });
+  };
+
+  // How long to wait before retrying, or null if the error isn't worth retrying
+  const retryDelay = (error, attempt) => {
+    const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt) + Math.floor(Math.random() * baseDelayMs);
+
+    if (!error.response) return backoff; // Network error or timeout
+
+    const status = error.response.status;
+    if (status === 429) {
+      const retryAfter = parseRetryAfter(error.response.headers['retry-after']);
+      return retryAfter === null ? backoff : retryAfter;
+    }
+    return status >= 500 ? backoff : null;
+  };
+
+  const request = async (query, variables) => {
+    const isTrial = checkCircuit();
+
+    try {
+      for (let attempt = 0; ; attempt++) {
+        // Wait out a known rate limit rather than spending a request on a 429
+        const throttleWait = throttledUntil - Date.now();
+        if (throttleWait > maxWaitMs) {
+          throw anilistError('AniList rate limit reached', RATE_LIMITED, { retryAfterMs: throttleWait });
+        }
+        if (throttleWait > 0) await sleep(throttleWait);
+
+        try {
+          const response = await axios.post(endpoint, { query, variables }, { timeout: timeoutMs });
+          readRateLimitHeaders(response.headers);
+          recordSuccess();
+          return response.data;
+        } catch (error) {
+          if (error.response) readRateLimitHeaders(error.response.headers);
+
+          const delay = retryDelay(error, attempt);
+          const throttled = error.response && error.response.status === 429;
+          if (throttled) throttledUntil = Math.max(throttledUntil, Date.now() + (delay || 0));
+
+          if (delay === null) {
+            // AniList answered (e.g. 404 for an unknown id), so it's up
+            recordSuccess();
+            throw error;
+          }
+
+          if (attempt >= maxRetries || delay > maxWaitMs) {
+            recordFailure(error);
+            throw throttled
+              ? anilistError('AniList rate limit reached', RATE_LIMITED, { cause: error, retryAfterMs: delay })
+              : anilistError(`AniList request failed: ${error.message}`, UNAVAILABLE, { cause: error });
+          }
+
+          console.warn(`AniList request failed (${throttled ? 'rate limited' : error.message}), retrying in ${delay}ms`);
+          await sleep(delay);
+        }
+      }
+    } finally {
+      if (isTrial) circuit.trialInFlight = false;
+    }
+  };
+
+  const fetchMediaByIds = async (ids, { query = mediaBatchQuery } = {}) => {
+    const uniqueIds = [...new Set(ids.map(String))];
+    const pages = [];
+    for (let i = 0; i < uniqueIds.length; i += perPage) {
+      pages.push(uniqueIds.slice(i, i + perPage));
+    }
+
+    const mediaById = new Map();
+
+    await mapWithConcurrency(pages, concurrency, async (pageIds) => {
+      try {
+        const body = await request(query, { ids: pageIds.map(id => parseInt(id)), perPage });
+        body.data.Page.media.forEach(media => mediaById.set(media.id.toString(), media));
+      } catch (error) {
+        console.error(`Failed to fetch ${pageIds.length} anime from AniList:`, error.message);
+      }
+    });
+
+    return mediaById;
+  };
+
+  // Summary for /health: ok, degraded (failing or throttled) or unavailable (circuit open)
+  const state = () => {
+    const now = Date.now();
+    let status = 'ok';
+    if (circuit.state === 'open') {
+      status = 'unavailable';
+    } else if (circuit.state === 'half-open' || circuit.consecutiveFailures > 0 || throttledUntil > now) {
+      status = 'degraded';
+    }
+
+    return {
+      status,
+      circuit: circuit.state,
+      consecutiveFailures: circuit.consecutiveFailures,
+      retryAt: circuit.state === 'open' ? new Date(circuit.openedAt + cooldownMs).toISOString() : null,
+      throttledUntil: throttledUntil > now ? new Date(throttledUntil).toISOString() : null,
+      rateLimit: { ...rateLimit },
+      lastError: circuit.lastError,
+      lastFailureAt: circuit.lastFailureAt,
+      lastSuccessAt: circuit.lastSuccessAt
+    };
+  };
+
+  return { request, fetchMediaByIds, state };
+};
+
+module.exports = {
+  createAniListClient,
+  isAniListUnavailable,
+  mapWithConcurrency,
+  MAX_PAGE_SIZE
+};
@@ -0,0 +1,232 @@
+const fs = require('fs');
+const path = require('path');
+const { COLLECTION_FILES, COLLECTIONS, readData } = require('./storage/files');
+
+// Snapshot folders are named after their creation time, e.g. 2024-05-01T00-00-00-000Z
+const SNAPSHOT_ID_PATTERN = /^[\w-]+$/;
+const MANIFEST_FILE = 'manifest.json';
+
+// Recover the ISO timestamp from a folder name produced by toSnapshotId
+const parseSnapshotId = (id) => {
+  const match = id.match(/^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z/);
+  return match ? `${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5]}Z` : null;
+};
+
+const toSnapshotId = (date) => date.toISOString().replace(/[:.]/g, '-');
+
+// Compare two versions of a record and list the top-level fields that differ.
+// The sync revision changes on every write, so it isn't reported.
+const changedFields = (before, after) => {
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...keys].filter(key => key !== 'rev' && JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+};
+
+// Diff one collection: added/removed/changed are relative to the snapshot,
+// i.e. what has happened to the live data since the snapshot was taken
+const diffCollection = (snapshotRecords, liveRecords) => {
+  const snapshotById = new Map(snapshotRecords.map(record => [record.id, record]));
+  const liveById = new Map(liveRecords.map(record => [record.id, record]));
+
+  const added = liveRecords.filter(record => !snapshotById.has(record.id));
+  const removed = snapshotRecords.filter(record => !liveById.has(record.id));
+  const changed = [];
+
+  liveRecords.forEach(record => {
+    const snapshotRecord = snapshotById.get(record.id);
+    if (!snapshotRecord) return;
+
+    const fields = changedFields(snapshotRecord, record);
+    if (fields.length > 0) {
+      changed.push({
+        id: record.id,
+        fields,
+        snapshot: Object.fromEntries(fields.map(field => [field, snapshotRecord[field]])),
+        live: Object.fromEntries(fields.map(field => [field, record[field]]))
+      });
+    }
+  });
+
+  return {
+    added,
+    removed,
+    changed,
+    unchanged: liveRecords.length - added.length - changed.length
+  };
+};
+
+// Manage the snapshot folders in DATA_DIR/backups
+const createBackupManager = ({ dataDir, store, keep = 7 }) => {
+  const backupsDir = path.join(dataDir, 'backups');
+
+  const snapshotDir = (id) => {
+    if (!SNAPSHOT_ID_PATTERN.test(id)) return null;
+    const dir = path.join(backupsDir, id);
+    return fs.existsSync(dir) && fs.statSync(dir).isDirectory() ? dir : null;
+  };
+
+  // Read every collection stored in a snapshot folder
+  const readSnapshotData = (dir) => {
+    const data = {};
+    COLLECTIONS.forEach(collection => {
+      const filePath = path.join(dir, COLLECTION_FILES[collection]);
+      const records = fs.existsSync(filePath) ? readData(filePath) : [];
+      data[collection] = Array.isArray(records) ? records : [];
+    });
+    return data;
+  };
+
+  const readManifest = (id) => {
+    const manifestPath = path.join(backupsDir, id, MANIFEST_FILE);
+    if (!fs.existsSync(manifestPath)) return null;
+
+    try {
+      return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    } catch (error) {
+      console.error(`Error reading backup manifest ${manifestPath}:`, error.message);
+      return null;
+    }
+  };
+
+  // Snapshot metadata, from its manifest when present (older backups have none)
+  const describe = (id) => {
+    const dir = path.join(backupsDir, id);
+    const manifest = readManifest(id);
+
+    let counts = manifest && manifest.counts;
+    if (!counts) {
+      const data = readSnapshotData(dir);
+      counts = {
+        anime: data.anime.length,
+        episodes: data.episodes.length,
+        scheduled: data.scheduled.length
+      };
+    }
+
+    const sizeBytes = fs.readdirSync(dir)
+      .reduce((total, file) => total + fs.statSync(path.join(dir, file)).size, 0);
+
+    return {
+      id,
+      createdAt: (manifest && manifest.createdAt) || parseSnapshotId(id) || fs.statSync(dir).mtime.toISOString(),
+      trigger: (manifest && manifest.trigger) || 'scheduled',
+      note: (manifest && manifest.note) || '',
+      counts,
+      sizeBytes
+    };
+  };
+
+  // Delete the oldest snapshots beyond the retention limit. Scheduled
+  // snapshots and the rest (manual, pre-restore, pre-import) are counted
+  // separately so a burst of imports can't push out the daily backups.
+  const prune = () => {
+    if (!fs.existsSync(backupsDir)) return;
+
+    const backupFolders = fs.readdirSync(backupsDir)
+      .filter(f => fs.statSync(path.join(backupsDir, f)).isDirectory())
+      .sort((a, b) => b.localeCompare(a)); // Sort descending (newest first)
+
+    const groups = { scheduled: [], other: [] };
+    backupFolders.forEach(folder => {
+      const manifest = readManifest(folder);
+      const trigger = (manifest && manifest.trigger) || 'scheduled';
+      groups[trigger === 'scheduled' ? 'scheduled' : 'other'].push(folder);
+    });
+
+    Object.values(groups).forEach(folders => {
+      folders.slice(keep).forEach(folder => {
+        const folderPath = path.join(backupsDir, folder);
+        // rmSync is Node 14.14+; recursive rmdirSync is deprecated after it
+        if (fs.rmSync) fs.rmSync(folderPath, { recursive: true, force: true });
+        else fs.rmdirSync(folderPath, { recursive: true });
+        console.log(`Removed old backup: ${folderPath}`);
+      });
+    });
+  };
+
+  return {
+    backupsDir,
+
+    // List snapshots, newest first
+    list() {
+      if (!fs.existsSync(backupsDir)) return [];
+
+      return fs.readdirSync(backupsDir)
+        .filter(f => SNAPSHOT_ID_PATTERN.test(f) && fs.statSync(path.join(backupsDir, f)).isDirectory())
+        .sort((a, b) => b.localeCompare(a))
+        .map(describe);
+    },
+
+    get(id) {
+      return snapshotDir(id) ? describe(id) : null;
+    },
+
+    read(id) {
+      const dir = snapshotDir(id);
+      return dir ? readSnapshotData(dir) : null;
+    },
+
+    // Write the live data into a new snapshot folder
+    create({ trigger = 'manual', note = '' } = {}) {
+      const now = new Date();
+      let id = toSnapshotId(now);
+      // Two snapshots in the same millisecond (e.g. manual + pre-restore) get a suffix
+      for (let n = 1; fs.existsSync(path.join(backupsDir, id)); n++) {
+        id = `${toSnapshotId(now)}-${n}`;
+      }
+
+      const dir = path.join(backupsDir, id);
+      fs.mkdirSync(dir, { recursive: true });
+
+      const counts = {};
+      COLLECTIONS.forEach(collection => {
+        const records = store.all(collection);
+        fs.writeFileSync(path.join(dir, COLLECTION_FILES[collection]), JSON.stringify(records, null, 2));
+        counts[collection] = records.length;
+      });
+
+      fs.writeFileSync(path.join(dir, MANIFEST_FILE), JSON.stringify({
+        createdAt: now.toISOString(),
+        trigger,
+        note,
+        counts
+      }, null, 2));
+
+      console.log(`Backup completed to ${dir}`);
+      prune();
+
+      return describe(id);
+    },
+
+    diff(id) {
+      const data = this.read(id);
+      if (!data) return null;
+
+      const result = {};
+      COLLECTIONS.forEach(collection => {
+        result[collection] = diffCollection(data[collection], store.all(collection));
+      });
+      return result;
+    },
+
+    // Replace live data with a snapshot (all collections, or just one). The
+    // current data is snapshotted first so a restore can itself be undone.
+    restore(id, collection) {
+      const data = this.read(id);
+      if (!data) return null;
+
+      const collections = collection ? [collection] : COLLECTIONS;
+      const safetySnapshot = this.create({ trigger: 'pre-restore', note: `Before restoring ${id}` });
+
+      const ok = store.commit(collections.map(name => ({ type: 'replace', collection: name, records: data[name] })));
+      if (!ok) return { ok: false };
+
+      return {
+        ok: true,
+        restored: collections,
+        safetySnapshot: safetySnapshot.id
+      };
+    }
+  };
+};
+
+module.exports = { createBackupManager, diffCollection };
@@ -0,0 +1,203 @@
+// Filipino dub credits, kept on the anime record in customAnimeList as
+//   credits: {
+//     dubStudio, network, originalAirYear,
+//     cast: [{ characterId, name, nativeName, image, role,
+//              voiceActors: [{ id, name }] }]
+//   }
+// characterId is the AniList character id (null for characters added by
+// hand). Voice actors are local people, identified by a slug of their name,
+// so the same actor is linked across every show they dubbed.
+const CHARACTER_ROLES = ['MAIN', 'SUPPORTING', 'BACKGROUND'];
+
+const MIN_AIR_YEAR = 1950;
+const MAX_AIR_YEAR = 2100;
+
+const emptyCredits = () => ({ dubStudio: null, network: null, originalAirYear: null, cast: [] });
+
+// "Vilma Santos-Recto" -> "vilma-santos-recto"
+const voiceActorId = (name) => String(name)
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+const optionalString = (value) => (typeof value === 'string' && value.trim() !== '' ? value.trim() : null);
+
+// Voice actors given as names or { name } objects; errors use `path`
+const parseVoiceActors = (input, path, errors) => {
+  if (input === undefined || input === null) return [];
+  if (!Array.isArray(input)) {
+    errors.push({ path, message: 'must be an array of names' });
+    return [];
+  }
+
+  const actors = [];
+  input.forEach((actor, index) => {
+    const name = optionalString(typeof actor === 'string' ? actor : actor && actor.name);
+    if (!name || !voiceActorId(name)) {
+      errors.push({ path: `${path}[${index}]`, message: 'must be a voice actor name' });
+      return;
+    }
+    const id = voiceActorId(name);
+    if (!actors.some(existing => existing.id === id)) actors.push({ id, name });
+  });
+  return actors;
+};
+
+const parseCastMember = (input, path, errors) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    errors.push({ path, message: 'must be an object' });
+    return null;
+  }
+
+  const name = optionalString(input.name);
+  if (!name) errors.push({ path: `${path}.name`, message: 'is required' });
+
+  let role = 'SUPPORTING';
+  if (input.role !== undefined && input.role !== null) {
+    role = String(input.role).toUpperCase();
+    if (!CHARACTER_ROLES.includes(role)) {
+      errors.push({ path: `${path}.role`, message: `must be one of ${CHARACTER_ROLES.join(', ')}` });
+    }
+  }
+
+  return {
+    characterId: input.characterId !== undefined && input.characterId !== null ? String(input.characterId) : null,
+    name,
+    nativeName: optionalString(input.nativeName),
+    image: optionalString(input.image),
+    role,
+    voiceActors: parseVoiceActors(input.voiceActors, `${path}.voiceActors`, errors)
+  };
+};
+
+// Validate a credits update and apply it over `existing`. Fields left out of
+// `input` keep their current value; null clears them. Returns
+// { credits, errors }.
+const parseCredits = (input, existing = emptyCredits()) => {
+  const errors = [];
+  const credits = { ...emptyCredits(), ...existing };
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { credits: null, errors: [{ path: '', message: 'must be an object' }] };
+  }
+
+  ['dubStudio', 'network'].forEach(field => {
+    if (input[field] === undefined) return;
+    if (input[field] !== null && typeof input[field] !== 'string') {
+      errors.push({ path: field, message: 'must be a string' });
+      return;
+    }
+    credits[field] = optionalString(input[field]);
+  });
+
+  if (input.originalAirYear !== undefined) {
+    const year = input.originalAirYear === null ? null : Number(input.originalAirYear);
+    if (year !== null && (!Number.isInteger(year) || year < MIN_AIR_YEAR || year > MAX_AIR_YEAR)) {
+      errors.push({ path: 'originalAirYear', message: `must be a year from ${MIN_AIR_YEAR} to ${MAX_AIR_YEAR}` });
+    } else {
+      credits.originalAirYear = year;
+    }
+  }
+
+  if (input.cast !== undefined) {
+    if (!Array.isArray(input.cast)) {
+      errors.push({ path: 'cast', message: 'must be an array' });
+    } else {
+      credits.cast = input.cast
+        .map((member, index) => parseCastMember(member, `cast[${index}]`, errors))
+        .filter(Boolean);
+
+      const seen = new Set();
+      credits.cast.forEach((member, index) => {
+        if (!member.characterId) return;
+        if (seen.has(member.characterId)) {
+          errors.push({ path: `cast[${index}].characterId`, message: `duplicate character "${member.characterId}"` });
+        }
+        seen.add(member.characterId);
+      });
+    }
+  }
+
+  return { credits: errors.length > 0 ? null : credits, errors };
+};
+
+// Add AniList characters to a cast. Characters already in the cast keep their
+// voice actors; their name, image and role are refreshed.
+const mergeCharacters = (cast, characters) => {
+  const merged = cast.map(member => ({ ...member }));
+
+  characters.forEach(character => {
+    const existing = merged.find(member => member.characterId === character.characterId);
+    if (existing) {
+      Object.assign(existing, { name: character.name, nativeName: character.nativeName, image: character.image, role: character.role });
+    } else {
+      merged.push({ ...character, voiceActors: [] });
+    }
+  });
+
+  return merged;
+};
+
+// AniList Media.characters edges -> cast members without voice actors
+const formatCharacters = (edges) => (edges || [])
+  .filter(edge => edge.node)
+  .map(edge => ({
+    characterId: edge.node.id.toString(),
+    name: edge.node.name?.full || edge.node.name?.native || '',
+    nativeName: edge.node.name?.native || null,
+    image: edge.node.image?.medium || null,
+    role: CHARACTER_ROLES.includes(edge.role) ? edge.role : 'SUPPORTING'
+  }));
+
+// Every voice actor credited in the library, with how many shows and
+// characters they voiced
+const listVoiceActors = (animeRecords) => {
+  const actors = new Map();
+
+  animeRecords.forEach(anime => {
+    ((anime.credits && anime.credits.cast) || []).forEach(member => {
+      (member.voiceActors || []).forEach(actor => {
+        if (!actors.has(actor.id)) actors.set(actor.id, { id: actor.id, name: actor.name, animeIds: new Set(), characters: 0 });
+        const entry = actors.get(actor.id);
+        entry.animeIds.add(anime.id);
+        entry.characters++;
+      });
+    });
+  });
+
+  return [...actors.values()]
+    .map(({ animeIds, ...actor }) => ({ ...actor, anime: animeIds.size }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+// The shows a voice actor dubbed, with the characters they voiced in each
+const creditsForActor = (animeRecords, actorId) => animeRecords
+  .map(anime => {
+    const credits = anime.credits || emptyCredits();
+    const characters = (credits.cast || [])
+      .filter(member => (member.voiceActors || []).some(actor => actor.id === actorId))
+      .map(({ characterId, name, image, role }) => ({ characterId, name, image, role }));
+
+    return characters.length === 0 ? null : {
+      animeId: anime.id,
+      dubStudio: credits.dubStudio,
+      network: credits.network,
+      originalAirYear: credits.originalAirYear,
+      characters
+    };
+  })
+  .filter(Boolean);
+
+module.exports = {
+  CHARACTER_ROLES,
+  creditsForActor,
+  emptyCredits,
+  formatCharacters,
+  listVoiceActors,
+  mergeCharacters,
+  parseCredits,
+  parseVoiceActors,
+  voiceActorId
+};
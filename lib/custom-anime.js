@@ -0,0 +1,126 @@
+const { FORMATS, SEASONS, STATUSES } = require('./anilist-search');
+
+// Anime that exist only in our library (local Filipino productions, TV-edited
+// compilations, dub-only cuts). They are stored in customAnimeList with the
+// fields of the provider shape and provider: 'custom'. Their ids start with
+// "custom-", which AniList's numeric ids can never collide with.
+const CUSTOM_PROVIDER = 'custom';
+const CUSTOM_ID_PREFIX = 'custom-';
+
+const isCustomId = (id) => String(id).startsWith(CUSTOM_ID_PREFIX);
+
+const generateCustomId = () => `${CUSTOM_ID_PREFIX}${Date.now().toString(36)}${Math.random().toString(36).substr(2, 5)}`;
+
+const isCustomAnime = (record) => Boolean(record) && record.provider === CUSTOM_PROVIDER;
+
+const TEXT_FIELDS = ['titleRomaji', 'titleNative', 'description', 'thumbnail', 'banner'];
+const LIST_FIELDS = ['synonyms', 'genres', 'studios'];
+const ENUM_FIELDS = { format: FORMATS, status: STATUSES, season: SEASONS };
+
+// Validate the fields of a custom anime and apply them over `existing`.
+// title is required unless `existing` already has one; fields left out keep
+// their value. Returns { fields, errors }.
+const parseCustomAnime = (input, existing = {}) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { fields: null, errors: [{ path: '', message: 'must be an object' }] };
+  }
+
+  const errors = [];
+  const fields = {};
+  const has = (field) => input[field] !== undefined && input[field] !== null;
+
+  if (has('title')) {
+    if (typeof input.title === 'string' && input.title.trim() !== '') {
+      fields.title = input.title.trim();
+    } else {
+      errors.push({ path: 'title', message: 'must be a non-empty string' });
+    }
+  } else if (!existing.title) {
+    errors.push({ path: 'title', message: 'is required' });
+  }
+
+  TEXT_FIELDS.forEach(field => {
+    if (!has(field)) return;
+    if (typeof input[field] === 'string') {
+      fields[field] = input[field].trim();
+    } else {
+      errors.push({ path: field, message: 'must be a string' });
+    }
+  });
+
+  LIST_FIELDS.forEach(field => {
+    if (!has(field)) return;
+    if (Array.isArray(input[field]) && input[field].every(item => typeof item === 'string' && item.trim() !== '')) {
+      fields[field] = input[field].map(item => item.trim());
+    } else {
+      errors.push({ path: field, message: 'must be an array of strings' });
+    }
+  });
+
+  Object.entries(ENUM_FIELDS).forEach(([field, allowed]) => {
+    if (!has(field)) return;
+    const value = String(input[field]).trim().toUpperCase();
+    if (allowed.includes(value)) {
+      fields[field] = value;
+    } else {
+      errors.push({ path: field, message: `must be one of ${allowed.join(', ')}` });
+    }
+  });
+
+  // Counts are strings in the provider shape ("Unknown" when not known)
+  ['episodeCount', 'duration'].forEach(field => {
+    if (!has(field)) return;
+    const count = Number(input[field]);
+    if (input[field] !== '' && Number.isInteger(count) && count >= 0) {
+      fields[field] = count.toString();
+    } else {
+      errors.push({ path: field, message: 'must be a whole number' });
+    }
+  });
+
+  ['startDate', 'endDate'].forEach(field => {
+    if (!has(field)) return;
+    if (typeof input[field] === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(input[field]) && !isNaN(Date.parse(input[field]))) {
+      fields[field] = input[field];
+    } else {
+      errors.push({ path: field, message: 'must be a date like 2024-01-31' });
+    }
+  });
+
+  if (has('rating')) {
+    const rating = Number(input.rating);
+    if (typeof input.rating === 'number' && rating >= 0 && rating <= 10) {
+      fields.rating = rating;
+    } else {
+      errors.push({ path: 'rating', message: 'must be a number from 0 to 10' });
+    }
+  }
+
+  if (has('country')) {
+    const country = String(input.country).trim().toUpperCase();
+    if (/^[A-Z]{2}$/.test(country)) {
+      fields.country = country;
+    } else {
+      errors.push({ path: 'country', message: 'must be a two-letter country code such as PH' });
+    }
+  }
+
+  if (has('isAdult')) {
+    if (typeof input.isAdult === 'boolean') {
+      fields.isAdult = input.isAdult;
+    } else {
+      errors.push({ path: 'isAdult', message: 'must be true or false' });
+    }
+  }
+
+  return { fields: errors.length > 0 ? null : fields, errors };
+};
+
+module.exports = {
+  CUSTOM_ID_PREFIX,
+  CUSTOM_PROVIDER,
+  generateCustomId,
+  isCustomAnime,
+  isCustomId,
+  parseCustomAnime
+};
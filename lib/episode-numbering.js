@@ -0,0 +1,235 @@
+// How episodes of an anime are numbered and ordered. Besides `number`
+// (which may be decimal, e.g. recap 12.5) an episode has:
+//   season         1, 2, ... (cours, "Part 2" and so on); 1 when not set
+//   type           regular, special, ova or recap; regular when not set
+//   arc            optional label for a story arc within the season
+//   displayNumber  optional numbering to show instead, e.g. "13 (TV)" when
+//                  the TV edit differs from AniList's
+// An episode is identified within its anime by season + type + number.
+const EPISODE_TYPES = ['regular', 'special', 'ova', 'recap'];
+const DEFAULT_SEASON = 1;
+const DEFAULT_TYPE = 'regular';
+
+// Recaps are numbered in between regular episodes and listed with them;
+// specials and OVAs follow the season's episodes
+const TYPE_RANK = { regular: 0, recap: 0, special: 1, ova: 2 };
+const TYPE_LABELS = { regular: 'Episode', recap: 'Recap', special: 'Special', ova: 'OVA' };
+
+const MAX_LABEL_LENGTH = 40;
+
+const seasonOf = (episode) => episode.season || DEFAULT_SEASON;
+const typeOf = (episode) => episode.type || DEFAULT_TYPE;
+
+const episodeKey = (episode) => `${seasonOf(episode)}:${typeOf(episode)}:${episode.number}`;
+
+// "Episode 12.5", "OVA 2"; displayNumber replaces the number when set
+const episodeLabel = (episode) => `${TYPE_LABELS[typeOf(episode)] || TYPE_LABELS.regular} ${episode.displayNumber || episode.number}`;
+
+// Viewing order: season, then the season's episodes and recaps by number,
+// then its specials and OVAs
+const compareEpisodes = (a, b) => (
+  seasonOf(a) - seasonOf(b) ||
+  (TYPE_RANK[typeOf(a)] || 0) - (TYPE_RANK[typeOf(b)] || 0) ||
+  (a.number || 0) - (b.number || 0) ||
+  String(a.dateAdded || '').localeCompare(String(b.dateAdded || '')) ||
+  String(a.id).localeCompare(String(b.id))
+);
+
+// `after` with its title and description following the new numbering when
+// they were still the ones generated from the old label
+const relabel = (before, after) => {
+  const oldLabel = episodeLabel(before);
+  const newLabel = episodeLabel(after);
+  if (oldLabel === newLabel || before.title !== oldLabel) return after;
+  return {
+    ...after,
+    title: after.title === before.title ? newLabel : after.title,
+    description: after.description === `${oldLabel} description` ? `${newLabel} description` : after.description
+  };
+};
+
+const sortEpisodes = (episodes) => [...episodes].sort(compareEpisodes);
+
+// Number for a new episode of the given season and type: one after the
+// highest whole number so far (13 after 12.5)
+const nextEpisodeNumber = (episodes, { season = DEFAULT_SEASON, type = DEFAULT_TYPE } = {}) => {
+  const numbers = episodes
+    .filter(episode => seasonOf(episode) === season && typeOf(episode) === type)
+    .map(episode => episode.number)
+    .filter(number => typeof number === 'number');
+  return numbers.length > 0 ? Math.floor(Math.max(...numbers)) + 1 : 1;
+};
+
+// Forms send numbers as strings ("12.5")
+const toNumber = (value) => {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && /^\s*\d+(\.\d+)?\s*$/.test(value)) return Number(value);
+  return NaN;
+};
+
+const optionalLabel = (input, field, at, errors) => {
+  if (input[field] === null || input[field] === '') return null;
+  if (typeof input[field] === 'string' && input[field].trim().length <= MAX_LABEL_LENGTH) return input[field].trim();
+  errors.push({ path: at(field), message: `must be text of at most ${MAX_LABEL_LENGTH} characters, or null` });
+  return undefined;
+};
+
+// Validate the numbering fields of a request body. Returns
+// { numbering, errors } where numbering only has the fields that were given.
+const parseNumbering = (input, { path = '' } = {}) => {
+  const at = (field) => (path ? `${path}.${field}` : field);
+  const has = (field) => input[field] !== undefined;
+  const numbering = {};
+  const errors = [];
+
+  if (has('number')) {
+    const number = toNumber(input.number);
+    if (Number.isFinite(number) && number >= 0) {
+      numbering.number = number;
+    } else {
+      errors.push({ path: at('number'), message: 'must be a number of 0 or more, such as 12 or 12.5' });
+    }
+  }
+
+  if (has('season')) {
+    const season = toNumber(input.season);
+    if (Number.isInteger(season) && season >= 1) {
+      numbering.season = season;
+    } else {
+      errors.push({ path: at('season'), message: 'must be a whole number of 1 or more' });
+    }
+  }
+
+  if (has('type')) {
+    const type = String(input.type).trim().toLowerCase();
+    if (EPISODE_TYPES.includes(type)) {
+      numbering.type = type;
+    } else {
+      errors.push({ path: at('type'), message: `must be one of ${EPISODE_TYPES.join(', ')}` });
+    }
+  }
+
+  ['arc', 'displayNumber'].forEach(field => {
+    if (!has(field)) return;
+    const value = optionalLabel(input, field, at, errors);
+    if (value !== undefined) numbering[field] = value;
+  });
+
+  return { numbering, errors };
+};
+
+// Errors for episodes that share season + type + number
+const findDuplicates = (episodes, { path = 'episodes' } = {}) => {
+  const seen = new Map();
+  const errors = [];
+  episodes.forEach(episode => {
+    const key = episodeKey(episode);
+    if (seen.has(key)) {
+      errors.push({ path, message: `episodes ${seen.get(key).id} and ${episode.id} would both be ${episodeLabel(episode)} of season ${seasonOf(episode)}` });
+    } else {
+      seen.set(key, episode);
+    }
+  });
+  return errors;
+};
+
+// Work out the episodes changed by a renumber request for one anime,
+// without writing. The body is either
+//   { episodes: [{ id, number?, season?, type?, arc?, displayNumber? }] }
+// to set fields per episode, or
+//   { order: [id, ...], start?, step?, season?, type?, arc? }
+// to number the listed episodes in that order from `start` (default 1).
+// Returns { updated, errors }; the result must not leave two episodes with
+// the same season + type + number.
+const planRenumber = (episodes, body) => {
+  const byId = new Map(episodes.map(episode => [episode.id, episode]));
+  const changes = new Map(); // id -> numbering fields
+  const errors = [];
+
+  const checkIds = (ids, path) => {
+    const seen = new Set();
+    ids.forEach((id, index) => {
+      if (!byId.has(String(id))) {
+        errors.push({ path: `${path}[${index}]`, message: `episode "${id}" is not an episode of this anime` });
+      } else if (seen.has(String(id))) {
+        errors.push({ path: `${path}[${index}]`, message: `episode "${id}" is listed twice` });
+      }
+      seen.add(String(id));
+    });
+  };
+
+  if (Array.isArray(body.episodes)) {
+    checkIds(body.episodes.map(item => (item && item.id !== undefined ? item.id : '')), 'episodes');
+    body.episodes.forEach((item, index) => {
+      const parsed = parseNumbering(item || {}, { path: `episodes[${index}]` });
+      errors.push(...parsed.errors);
+      if (item && byId.has(String(item.id))) changes.set(String(item.id), parsed.numbering);
+    });
+  } else if (Array.isArray(body.order)) {
+    checkIds(body.order, 'order');
+    const { numbering: shared, errors: sharedErrors } = parseNumbering(body);
+    errors.push(...sharedErrors);
+
+    const start = body.start === undefined ? 1 : toNumber(body.start);
+    const step = body.step === undefined ? 1 : toNumber(body.step);
+    if (!Number.isFinite(start) || start < 0) errors.push({ path: 'start', message: 'must be a number of 0 or more' });
+    if (!Number.isFinite(step) || step <= 0) errors.push({ path: 'step', message: 'must be a number greater than 0' });
+    if (shared.number !== undefined) errors.push({ path: 'number', message: 'is set from start and step when ordering' });
+
+    body.order.forEach((id, index) => {
+      changes.set(String(id), { ...shared, number: start + index * step });
+    });
+  } else {
+    errors.push({ path: 'episodes', message: 'send episodes (fields per episode) or order (a list of episode ids)' });
+  }
+
+  if (errors.length > 0) return { updated: null, errors };
+
+  const updated = [];
+  const result = episodes.map(episode => {
+    const numbering = changes.get(episode.id);
+    if (!numbering) return episode;
+    const changed = relabel(episode, { ...episode, ...numbering });
+    if (Object.keys(numbering).some(field => changed[field] !== episode[field])) updated.push(changed);
+    return changed;
+  });
+
+  const duplicates = findDuplicates(sortEpisodes(result));
+  if (duplicates.length > 0) return { updated: null, errors: duplicates };
+
+  return { updated: sortEpisodes(updated), errors: [] };
+};
+
+// Episodes grouped for display: [{ season, arcs, episodes }] in viewing
+// order, where arcs lists the season's arc labels as they first appear
+const groupBySeason = (episodes) => {
+  const seasons = [];
+  sortEpisodes(episodes).forEach(episode => {
+    let group = seasons[seasons.length - 1];
+    if (!group || group.season !== seasonOf(episode)) {
+      group = { season: seasonOf(episode), arcs: [], episodes: [] };
+      seasons.push(group);
+    }
+    if (episode.arc && !group.arcs.includes(episode.arc)) group.arcs.push(episode.arc);
+    group.episodes.push(episode);
+  });
+  return seasons;
+};
+
+module.exports = {
+  DEFAULT_SEASON,
+  DEFAULT_TYPE,
+  EPISODE_TYPES,
+  compareEpisodes,
+  episodeKey,
+  episodeLabel,
+  findDuplicates,
+  groupBySeason,
+  nextEpisodeNumber,
+  parseNumbering,
+  planRenumber,
+  relabel,
+  seasonOf,
+  sortEpisodes,
+  typeOf
+};
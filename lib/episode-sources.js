@@ -0,0 +1,190 @@
+// Video sources of an episode. Each episode keeps an ordered list in
+// `sources`; the player tries them by priority (lowest first) and falls back
+// to the next one when a source fails. `iframeSrc` is kept for older clients
+// and always holds the URL of the first source.
+//   { id, url, kind, language, quality, priority }
+const SOURCE_KINDS = ['iframe', 'mp4', 'hls'];
+const SOURCE_LANGUAGES = {
+  'tagalog-dub': 'Tagalog dub',
+  'english-dub': 'English dub',
+  'japanese-filipino-sub': 'Japanese, Filipino subs',
+  'japanese-english-sub': 'Japanese, English subs'
+};
+const LANGUAGE_CODES = Object.keys(SOURCE_LANGUAGES);
+
+const generateSourceId = () => `src-${Date.now().toString(36)}${Math.random().toString(36).substr(2, 5)}`;
+
+// Direct files and playlists can be told apart by extension; anything else is an embed
+const guessKind = (url) => {
+  const path = String(url).split(/[?#]/)[0].toLowerCase();
+  if (path.endsWith('.m3u8')) return 'hls';
+  if (/\.(mp4|m4v|webm)$/.test(path)) return 'mp4';
+  return 'iframe';
+};
+
+// Embeds copied from a page are often protocol-relative ("//host/embed/1");
+// they are stored as https
+const absoluteUrl = (value) => (value.startsWith('//') ? `https:${value}` : value);
+
+const isHttpUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+};
+
+const sortSources = (sources) => sources
+  .map((source, index) => ({ source, index }))
+  .sort((a, b) => a.source.priority - b.source.priority || a.index - b.index)
+  .map(({ source }) => source);
+
+const isStoredSource = (source) => Boolean(source && typeof source === 'object' && source.id && source.url);
+
+// The episode's sources, best first, skipping malformed entries. Episodes
+// from before sources existed get one built from iframeSrc.
+const episodeSources = (episode) => {
+  if (Array.isArray(episode.sources)) return sortSources(episode.sources.filter(isStoredSource));
+  if (!episode.iframeSrc) return [];
+  return [{
+    id: 'primary',
+    url: episode.iframeSrc,
+    kind: guessKind(episode.iframeSrc),
+    language: episode.hasTagalogDub === true ? 'tagalog-dub' : null,
+    quality: null,
+    priority: 0
+  }];
+};
+
+// The episode with its sources stored in order and iframeSrc matching the first
+const withSources = (episode, sources) => {
+  const sorted = sortSources(sources);
+  return { ...episode, sources: sorted, iframeSrc: sorted.length > 0 ? sorted[0].url : '' };
+};
+
+// `sources` with `source` added, or replacing the one with its id. When
+// another source already has its priority, that one and those after it move
+// back a place, so the fallback order never depends on insertion order.
+const placeSource = (sources, source) => {
+  const others = sources.filter(item => item.id !== source.id);
+  if (!others.some(item => item.priority === source.priority)) return [...others, source];
+  return [
+    ...others.map(item => (item.priority >= source.priority ? { ...item, priority: item.priority + 1 } : item)),
+    source
+  ];
+};
+
+const hasTagalogSource = (sources) => sources.some(source => source.language === 'tagalog-dub');
+
+// Older clients only edit iframeSrc: it replaces the URL of the first
+// source, and an empty value removes that source
+const setPrimaryUrl = (sources, url) => {
+  const [primary, ...rest] = sortSources(sources);
+  if (!url) return rest;
+  if (!primary) return [parseSource({ url }).source].filter(Boolean);
+  return [{ ...primary, url, kind: guessKind(url) }, ...rest];
+};
+
+// Validate a source. Fields left out keep their `existing` value; a new
+// source needs a url, and kind is guessed from it when not given. Priority
+// defaults to after the last of `siblings`. Returns { source, errors }.
+const parseSource = (input, { existing = null, siblings = [], path = '' } = {}) => {
+  const at = (field) => (path ? `${path}.${field}` : field);
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { source: null, errors: [{ path: path || '', message: 'must be an object' }] };
+  }
+
+  const errors = [];
+  const has = (field) => input[field] !== undefined;
+  const source = existing
+    ? { ...existing }
+    : { id: generateSourceId(), url: null, kind: null, language: null, quality: null, priority: null };
+
+  if (has('url')) {
+    const url = typeof input.url === 'string' ? absoluteUrl(input.url.trim()) : null;
+    if (url && isHttpUrl(url)) {
+      source.url = url;
+    } else {
+      errors.push({ path: at('url'), message: 'must be an http(s) URL' });
+    }
+  } else if (!existing) {
+    errors.push({ path: at('url'), message: 'is required' });
+  }
+
+  if (has('kind') && input.kind !== null) {
+    const kind = String(input.kind).trim().toLowerCase();
+    if (SOURCE_KINDS.includes(kind)) {
+      source.kind = kind;
+    } else {
+      errors.push({ path: at('kind'), message: `must be one of ${SOURCE_KINDS.join(', ')}` });
+    }
+  } else if (!source.kind || (has('url') && !has('kind'))) {
+    source.kind = source.url ? guessKind(source.url) : null;
+  }
+
+  if (has('language')) {
+    if (input.language === null || LANGUAGE_CODES.includes(input.language)) {
+      source.language = input.language;
+    } else {
+      errors.push({ path: at('language'), message: `must be one of ${LANGUAGE_CODES.join(', ')}` });
+    }
+  }
+
+  if (has('quality')) {
+    if (input.quality === null || (typeof input.quality === 'string' && input.quality.trim() !== '')) {
+      source.quality = input.quality === null ? null : input.quality.trim();
+    } else {
+      errors.push({ path: at('quality'), message: 'must be a label such as 1080p' });
+    }
+  }
+
+  if (has('priority')) {
+    if (Number.isInteger(input.priority) && input.priority >= 0) {
+      source.priority = input.priority;
+    } else {
+      errors.push({ path: at('priority'), message: 'must be a whole number (0 is tried first)' });
+    }
+  } else if (source.priority === null) {
+    source.priority = siblings.length > 0 ? Math.max(...siblings.map(sibling => sibling.priority)) + 1 : 0;
+  }
+
+  return { source: errors.length > 0 ? null : source, errors };
+};
+
+// Validate a whole list (for new episodes and PUT .../sources). Items whose
+// id matches one of `existing` update that source; sources without a
+// priority keep their order in the list.
+const parseSources = (input, { existing = [], path = 'sources' } = {}) => {
+  if (!Array.isArray(input)) {
+    return { sources: null, errors: [{ path, message: 'must be an array' }] };
+  }
+
+  const sources = [];
+  const errors = [];
+  input.forEach((item, index) => {
+    const current = item && existing.find(source => source.id === item.id);
+    const parsed = parseSource(item, { existing: current, siblings: sources, path: `${path}[${index}]` });
+    if (parsed.source) {
+      sources.push(parsed.source);
+    } else {
+      errors.push(...parsed.errors);
+    }
+  });
+
+  return { sources: errors.length > 0 ? null : sources, errors };
+};
+
+module.exports = {
+  LANGUAGE_CODES,
+  SOURCE_KINDS,
+  SOURCE_LANGUAGES,
+  episodeSources,
+  guessKind,
+  hasTagalogSource,
+  parseSource,
+  parseSources,
+  placeSource,
+  setPrimaryUrl,
+  withSources
+};
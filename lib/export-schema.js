@@ -0,0 +1,317 @@
+const { COLLECTIONS } = require('./storage/files');
+const { parseCredits } = require('./credits');
+const { parseSources } = require('./episode-sources');
+const { DEFAULT_SEASON, DEFAULT_TYPE, EPISODE_TYPES } = require('./episode-numbering');
+
+// Version written by /api/export. Older exports are migrated up to it on import.
+const CURRENT_EXPORT_VERSION = '1.3';
+
+// Field types understood by the validator
+//   string, boolean, number (finite), date (parseable date string),
+//   id (string, or a number in versions that stored numeric ids),
+//   numeric (number, or a string holding one - older exports),
+//   object (plain object), array
+// A rule can also have `check(value)`, returning errors for the field's
+// contents with paths relative to the field.
+const checkType = (type, value) => {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'date':
+      return typeof value === 'string' && !isNaN(new Date(value).getTime());
+    case 'id':
+      return (typeof value === 'string' && value.length > 0) || (typeof value === 'number' && Number.isFinite(value));
+    case 'numeric':
+      return (typeof value === 'number' && Number.isFinite(value)) ||
+        (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value)));
+    case 'object':
+      return typeof value === 'object' && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    default:
+      return false;
+  }
+};
+
+const TYPE_NAMES = {
+  string: 'a string',
+  boolean: 'a boolean',
+  number: 'a number',
+  date: 'a valid date string',
+  id: 'a string or number id',
+  numeric: 'a number',
+  object: 'an object',
+  array: 'an array'
+};
+
+// Record schemas per export version. Fields not listed are allowed and kept.
+//   1.0  anime + episodes; ids and episode numbers could be numbers or strings
+//   1.1  adds scheduled releases
+//   1.2  string ids, numeric episode numbers, episode descriptions
+//   1.3  episode season, type, arc and displayNumber (older episodes are
+//        regular episodes of season 1); numbers may be decimal
+const SCHEMAS = {
+  '1.0': {
+    collections: ['anime', 'episodes'],
+    anime: {
+      id: { type: 'id', required: true },
+      hasTagalogDub: { type: 'boolean' }
+    },
+    episodes: {
+      id: { type: 'id', required: true },
+      animeId: { type: 'id', required: true },
+      number: { type: 'numeric', required: true },
+      title: { type: 'string' },
+      iframeSrc: { type: 'string' },
+      hasTagalogDub: { type: 'boolean' },
+      dateAdded: { type: 'date' }
+    }
+  }
+};
+
+SCHEMAS['1.1'] = {
+  ...SCHEMAS['1.0'],
+  collections: ['anime', 'episodes', 'scheduled'],
+  scheduled: {
+    id: { type: 'id', required: true },
+    animeId: { type: 'id', required: true },
+    releaseDate: { type: 'date', required: true },
+    title: { type: 'string' },
+    thumbnail: { type: 'string' },
+    notes: { type: 'string' },
+    hasTagalogDub: { type: 'boolean' },
+    dateAdded: { type: 'date' }
+  }
+};
+
+SCHEMAS['1.2'] = {
+  collections: ['anime', 'episodes', 'scheduled'],
+  anime: {
+    id: { type: 'string', required: true },
+    hasTagalogDub: { type: 'boolean' },
+    // Dub credits, complete as PUT /api/anime/:id/credits stores them
+    credits: {
+      type: 'object',
+      check: (credits) => (credits.cast === undefined ? [{ path: 'cast', message: 'is required' }] : parseCredits(credits).errors)
+    }
+  },
+  episodes: {
+    id: { type: 'string', required: true },
+    animeId: { type: 'string', required: true },
+    number: { type: 'number', required: true, min: 0 },
+    title: { type: 'string' },
+    description: { type: 'string' },
+    iframeSrc: { type: 'string' },
+    // Video sources as episode-sources.js stores them, ids included
+    sources: {
+      type: 'array',
+      check: (sources) => [
+        ...parseSources(sources, { path: '' }).errors,
+        ...sources
+          .map((source, index) => (source && typeof source === 'object' && !source.id ? { path: `[${index}].id`, message: 'is required' } : null))
+          .filter(Boolean)
+      ]
+    },
+    hasTagalogDub: { type: 'boolean' },
+    dateAdded: { type: 'date' }
+  },
+  scheduled: {
+    ...SCHEMAS['1.1'].scheduled,
+    id: { type: 'string', required: true },
+    animeId: { type: 'string', required: true }
+  }
+};
+
+SCHEMAS['1.3'] = {
+  ...SCHEMAS['1.2'],
+  episodes: {
+    ...SCHEMAS['1.2'].episodes,
+    season: {
+      type: 'number',
+      min: 1,
+      check: (season) => (Number.isInteger(season) ? [] : [{ path: '', message: 'must be a whole number' }])
+    },
+    type: {
+      type: 'string',
+      check: (type) => (EPISODE_TYPES.includes(type) ? [] : [{ path: '', message: `must be one of ${EPISODE_TYPES.join(', ')}` }])
+    },
+    arc: { type: 'string' },
+    displayNumber: { type: 'string' }
+  }
+};
+
+const VERSIONS = Object.keys(SCHEMAS);
+
+// Each migration upgrades an export from its key version to the next one
+const MIGRATIONS = {
+  '1.0': (data) => ({
+    ...data,
+    scheduled: [],
+    exportVersion: '1.1'
+  }),
+
+  '1.1': (data) => ({
+    ...data,
+    anime: data.anime.map(anime => ({ ...anime, id: String(anime.id) })),
+    episodes: data.episodes.map(episode => ({
+      ...episode,
+      id: String(episode.id),
+      animeId: String(episode.animeId),
+      number: Number(episode.number),
+      description: episode.description !== undefined
+        ? episode.description
+        : `${episode.title || `Episode ${episode.number}`} description`
+    })),
+    scheduled: data.scheduled.map(item => ({
+      ...item,
+      id: String(item.id),
+      animeId: String(item.animeId)
+    })),
+    exportVersion: '1.2'
+  }),
+
+  // Episodes from before seasons and types are regular episodes of season 1
+  '1.2': (data) => ({
+    ...data,
+    episodes: data.episodes.map(episode => ({
+      ...episode,
+      season: episode.season !== undefined ? episode.season : DEFAULT_SEASON,
+      type: episode.type !== undefined ? episode.type : DEFAULT_TYPE
+    })),
+    exportVersion: '1.3'
+  })
+};
+
+// Exports without a version stamp predate it: 1.1 if they carry schedules
+const detectVersion = (data) => {
+  if (data.exportVersion !== undefined) return String(data.exportVersion);
+  return Array.isArray(data.scheduled) ? '1.1' : '1.0';
+};
+
+// Validate an export against one version's schema. Errors carry a path such
+// as "episodes[3].animeId" so a bad record can be found in the file.
+const validate = (data, version) => {
+  const schema = SCHEMAS[version];
+  const errors = [];
+
+  schema.collections.forEach(collection => {
+    if (!Array.isArray(data[collection])) {
+      errors.push({ path: collection, message: 'must be an array' });
+      return;
+    }
+
+    const fields = schema[collection];
+    const seenIds = new Set();
+
+    data[collection].forEach((record, index) => {
+      const recordPath = `${collection}[${index}]`;
+
+      if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        errors.push({ path: recordPath, message: 'must be an object' });
+        return;
+      }
+
+      Object.entries(fields).forEach(([field, rule]) => {
+        const value = record[field];
+        const fieldPath = `${recordPath}.${field}`;
+
+        if (value === undefined || value === null) {
+          if (rule.required) errors.push({ path: fieldPath, message: 'is required' });
+          return;
+        }
+
+        if (!checkType(rule.type, value)) {
+          errors.push({ path: fieldPath, message: `must be ${TYPE_NAMES[rule.type]}` });
+        } else if (rule.min !== undefined && Number(value) < rule.min) {
+          errors.push({ path: fieldPath, message: `must be at least ${rule.min}` });
+        } else if (rule.check) {
+          rule.check(value).forEach(error => {
+            const path = !error.path ? fieldPath : `${fieldPath}${error.path.startsWith('[') ? '' : '.'}${error.path}`;
+            errors.push({ path, message: error.message });
+          });
+        }
+      });
+
+      if (record.id !== undefined && record.id !== null) {
+        const id = String(record.id);
+        if (seenIds.has(id)) {
+          errors.push({ path: `${recordPath}.id`, message: `duplicate id "${id}"` });
+        }
+        seenIds.add(id);
+      }
+    });
+  });
+
+  return errors;
+};
+
+// Episodes and schedules pointing at anime that aren't in the export. Older
+// data can contain these, so they are reported without blocking the import.
+const findOrphans = (data) => {
+  const animeIds = new Set(data.anime.map(anime => anime.id));
+  const warnings = [];
+
+  ['episodes', 'scheduled'].forEach(collection => {
+    data[collection].forEach((record, index) => {
+      if (!animeIds.has(record.animeId)) {
+        warnings.push({ path: `${collection}[${index}].animeId`, message: `anime "${record.animeId}" is not in this export` });
+      }
+    });
+  });
+
+  return warnings;
+};
+
+// Validate an uploaded export and upgrade it to the current version.
+// Returns { data, fromVersion, errors, warnings }; data is null when invalid.
+const prepareImport = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { data: null, fromVersion: null, errors: [{ path: '', message: 'must be an export object' }], warnings: [] };
+  }
+
+  const fromVersion = detectVersion(input);
+
+  if (!SCHEMAS[fromVersion]) {
+    return {
+      data: null,
+      fromVersion,
+      errors: [{ path: 'exportVersion', message: `unsupported export version "${fromVersion}" (supported: ${VERSIONS.join(', ')})` }],
+      warnings: []
+    };
+  }
+
+  // Check the file against the rules of the version it was written with
+  const sourceErrors = validate(input, fromVersion);
+  if (sourceErrors.length > 0) {
+    return { data: null, fromVersion, errors: sourceErrors, warnings: [] };
+  }
+
+  let data = { ...input, exportVersion: fromVersion };
+  while (data.exportVersion !== CURRENT_EXPORT_VERSION) {
+    data = MIGRATIONS[data.exportVersion](data);
+  }
+
+  // Migrations should always produce valid data, but check before it reaches storage
+  const errors = validate(data, CURRENT_EXPORT_VERSION);
+  if (errors.length > 0) {
+    return { data: null, fromVersion, errors, warnings: [] };
+  }
+
+  // Keep only the collections; the export stamps aren't stored
+  const collections = {};
+  COLLECTIONS.forEach(collection => { collections[collection] = data[collection]; });
+
+  return { data: collections, fromVersion, errors: [], warnings: findOrphans(collections) };
+};
+
+module.exports = {
+  CURRENT_EXPORT_VERSION,
+  SCHEMAS,
+  MIGRATIONS,
+  prepareImport,
+  validate
+};
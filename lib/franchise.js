@@ -0,0 +1,112 @@
+// Relations that make two anime part of the same franchise. Other AniList
+// relation types (ADAPTATION, CHARACTER, ...) link to different stories.
+const FRANCHISE_RELATION_TYPES = ['SEQUEL', 'PREQUEL', 'SIDE_STORY', 'PARENT'];
+
+// Long franchises (Gundam, Pokémon) can link hundreds of entries
+const MAX_FRANCHISE_ENTRIES = 50;
+
+const formatDate = (dateObj) => {
+  if (!dateObj || !dateObj.year) return null;
+  return `${dateObj.year}-${dateObj.month?.toString().padStart(2, '0') || '01'}-${dateObj.day?.toString().padStart(2, '0') || '01'}`;
+};
+
+// AniList Media.relations edges -> franchise links of formatAnimeData output
+const formatRelations = (relations) => ((relations && relations.edges) || [])
+  .filter(edge => edge.node && edge.node.type === 'ANIME' && FRANCHISE_RELATION_TYPES.includes(edge.relationType))
+  .map(edge => ({
+    id: edge.node.id.toString(),
+    relationType: edge.relationType,
+    title: edge.node.title?.english || edge.node.title?.romaji || '',
+    format: edge.node.format || 'Unknown',
+    status: edge.node.status || 'Unknown',
+    startDate: formatDate(edge.node.startDate),
+    thumbnail: edge.node.coverImage?.large || ''
+  }));
+
+// Release order; entries without a start date (not announced yet) go last
+const compareWatchOrder = (a, b) => {
+  if (a.startDate !== b.startDate) {
+    if (!a.startDate) return 1;
+    if (!b.startDate) return -1;
+    return a.startDate < b.startDate ? -1 : 1;
+  }
+  return parseInt(a.id) - parseInt(b.id);
+};
+
+// Walk the relations of `rootId` level by level and return the franchise in
+// watch order.
+//   getMany(ids)      Map of id -> formatted anime details (with relations)
+//   isInLibrary(id)   whether the library has the anime
+//   hasTagalogDub(id) whether the library marks it as Tagalog dubbed
+// Entries carry the relation to the anime that led to them, so a direct
+// sequel reads as SEQUEL of the root. `truncated` is set when the walk hit
+// `maxEntries` before running out of relations.
+const buildFranchise = async (rootId, { getMany, isInLibrary, hasTagalogDub, maxEntries = MAX_FRANCHISE_ENTRIES }) => {
+  const found = new Map(); // id -> { id, relationType, relatedTo, details }
+  let level = [rootId];
+  let truncated = false;
+
+  found.set(rootId, { id: rootId, relationType: null, relatedTo: null, details: null });
+
+  while (level.length > 0) {
+    const detailsById = await getMany(level);
+    const next = [];
+
+    level.forEach(id => {
+      const details = detailsById.get(id);
+      if (!details) return;
+      found.get(id).details = details;
+
+      (details.relations || []).forEach(relation => {
+        if (found.has(relation.id)) return;
+        if (found.size >= maxEntries) {
+          truncated = true;
+          return;
+        }
+        found.set(relation.id, { id: relation.id, relationType: relation.relationType, relatedTo: id, details: null, relation });
+        next.push(relation.id);
+      });
+    });
+
+    level = next;
+  }
+
+  if (!found.get(rootId).details) return null;
+
+  const entries = [...found.values()]
+    .map(({ id, relationType, relatedTo, details, relation }) => {
+      // Fall back to the relation edge for entries AniList didn't return
+      const source = details || relation;
+      return {
+        id,
+        title: source.title,
+        format: source.format || 'Unknown',
+        status: source.status || 'Unknown',
+        startDate: source.startDate || null,
+        episodeCount: details ? details.episodeCount : 'Unknown',
+        thumbnail: source.thumbnail || '',
+        relationType,
+        relatedTo,
+        isRoot: id === rootId,
+        inLibrary: isInLibrary(id),
+        hasTagalogDub: hasTagalogDub(id)
+      };
+    })
+    .sort(compareWatchOrder)
+    .map((entry, index) => ({ position: index + 1, ...entry }));
+
+  return {
+    id: rootId,
+    entries,
+    truncated,
+    inLibrary: entries.filter(entry => entry.inLibrary).length,
+    missing: entries.filter(entry => !entry.inLibrary).map(entry => entry.id)
+  };
+};
+
+module.exports = {
+  FRANCHISE_RELATION_TYPES,
+  MAX_FRANCHISE_ENTRIES,
+  buildFranchise,
+  formatRelations
+};
@@ -0,0 +1,141 @@
+const { episodeLabel, seasonOf, typeOf } = require('./episode-numbering');
+const { createParamReader } = require('./query-params');
+
+// The "latest releases" feed: recently added episodes, newest first, with
+// back-to-back uploads for the same anime collapsed into one item
+// ("Ep 5–8 added").
+const DEFAULT_PER_PAGE = 20;
+const MAX_PER_PAGE = 50;
+
+// Uploads further apart than this start a new item even when nothing else
+// was added in between
+const GROUP_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Returns { page, perPage, hasTagalogDub, errors }
+const parseLatestQuery = (params) => {
+  const errors = [];
+  const { given, intParam } = createParamReader(params, errors);
+
+  let hasTagalogDub;
+  if (given('hasTagalogDub')) {
+    if (params.hasTagalogDub === 'true' || params.hasTagalogDub === 'false') {
+      hasTagalogDub = params.hasTagalogDub === 'true';
+    } else {
+      errors.push({ path: 'hasTagalogDub', message: 'must be true or false' });
+    }
+  }
+
+  return {
+    page: intParam('page', { min: 1, max: 10000, fallback: 1 }),
+    perPage: intParam('perPage', { min: 1, max: MAX_PER_PAGE, fallback: DEFAULT_PER_PAGE }),
+    hasTagalogDub,
+    errors
+  };
+};
+
+// [1, 2, 3, 5] -> "1–3, 5"
+const formatEpisodeRange = (numbers) => {
+  const sorted = [...new Set(numbers)].sort((a, b) => a - b);
+  const ranges = [];
+  sorted.forEach(number => {
+    const last = ranges[ranges.length - 1];
+    if (last && number === last.end + 1) {
+      last.end = number;
+    } else {
+      ranges.push({ start: number, end: number });
+    }
+  });
+  return ranges.map(({ start, end }) => (start === end ? `${start}` : `${start}–${end}`)).join(', ');
+};
+
+const addedTime = (episode) => {
+  const time = Date.parse(episode.dateAdded);
+  return isNaN(time) ? 0 : time;
+};
+
+// Group episodes into feed items, newest first. Returns
+// [{ animeId, episodes (newest first), dateAdded, firstAddedAt }].
+const groupLatestEpisodes = (episodes, { windowMs = GROUP_WINDOW_MS } = {}) => {
+  const sorted = [...episodes].sort((a, b) => addedTime(b) - addedTime(a) || (b.number || 0) - (a.number || 0));
+
+  const groups = [];
+  sorted.forEach(episode => {
+    const current = groups[groups.length - 1];
+    const previous = current && current.episodes[current.episodes.length - 1];
+    if (current && current.animeId === episode.animeId && addedTime(previous) - addedTime(episode) <= windowMs) {
+      current.episodes.push(episode);
+      current.firstAddedAt = episode.dateAdded;
+    } else {
+      groups.push({ animeId: episode.animeId, episodes: [episode], dateAdded: episode.dateAdded, firstAddedAt: episode.dateAdded });
+    }
+  });
+  return groups;
+};
+
+const EXTRA_TYPES = [
+  { type: 'recap', one: 'recap', many: 'recaps' },
+  { type: 'special', one: 'special', many: 'specials' },
+  { type: 'ova', one: 'OVA', many: 'OVAs' }
+];
+
+// A feed item for a group and its anime (a library listing entry). Regular
+// episodes are listed as a range per season; recaps, specials and OVAs are
+// counted, e.g. "S1 Ep 12 + S2 Ep 1–2 + 1 recap added".
+const toFeedItem = (group, anime) => {
+  const counts = { regular: 0, recap: 0, special: 0, ova: 0 };
+  group.episodes.forEach(episode => { counts[typeOf(episode)] = (counts[typeOf(episode)] || 0) + 1; });
+
+  const numbersBySeason = new Map();
+  group.episodes
+    .filter(episode => typeOf(episode) === 'regular' && typeof episode.number === 'number')
+    .forEach(episode => {
+      if (!numbersBySeason.has(seasonOf(episode))) numbersBySeason.set(seasonOf(episode), []);
+      numbersBySeason.get(seasonOf(episode)).push(episode.number);
+    });
+  const seasons = [...numbersBySeason.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([season, numbers]) => ({ season, episodeRange: formatEpisodeRange(numbers) }));
+
+  // Season 1 on its own needs no label
+  const labelSeasons = seasons.length > 1 || (seasons.length === 1 && seasons[0].season !== 1);
+  const seasonLabel = (season) => (labelSeasons ? `S${season} ` : '');
+  const parts = [
+    ...seasons.map(({ season, episodeRange }) => `${seasonLabel(season)}Ep ${episodeRange}`),
+    ...EXTRA_TYPES
+      .filter(({ type }) => counts[type] > 0)
+      .map(({ type, one, many }) => `${counts[type]} ${counts[type] === 1 ? one : many}`)
+  ];
+
+  return {
+    animeId: group.animeId,
+    title: anime.title,
+    thumbnail: anime.thumbnail,
+    hasTagalogDub: group.episodes.some(episode => episode.hasTagalogDub === true),
+    episodeCount: group.episodes.length,
+    counts,
+    // "5–8", or per season: "S1 12 + S2 1–2"
+    episodeRange: seasons.map(({ season, episodeRange }) => `${seasonLabel(season)}${episodeRange}`).join(' + '),
+    seasons,
+    summary: parts.length > 0 ? `${parts.join(' + ')} added` : `${group.episodes.length} episode${group.episodes.length === 1 ? '' : 's'} added`,
+    episodes: group.episodes.map(episode => ({
+      id: episode.id,
+      number: episode.number,
+      season: seasonOf(episode),
+      type: typeOf(episode),
+      label: episodeLabel(episode),
+      title: episode.title,
+      hasTagalogDub: episode.hasTagalogDub === true,
+      dateAdded: episode.dateAdded
+    })),
+    dateAdded: group.dateAdded,
+    firstAddedAt: group.firstAddedAt
+  };
+};
+
+module.exports = {
+  GROUP_WINDOW_MS,
+  formatEpisodeRange,
+  groupLatestEpisodes,
+  parseLatestQuery,
+  toFeedItem
+};
@@ -0,0 +1,74 @@
+const { SEASONS } = require('./anilist-search');
+const { matchesFilters, yearOf } = require('./library-query');
+
+// Counts for browse menus over the library. Every facet counts the anime
+// that pass the other filters, so a viewer can still switch to another
+// status or season. Genres and studios must all match, so picking one more
+// narrows the list: their counts are taken with every filter applied.
+const FACETS = {
+  genres: { skip: [] },
+  studios: { skip: [] },
+  seasons: { skip: ['season', 'year'] },
+  statuses: { skip: ['status'] },
+  countries: { skip: ['country'] },
+  tagalogDub: { skip: ['hasTagalogDub'] }
+};
+
+// [{ value, count }], most common first; names that differ only in case are
+// counted together under the first spelling seen
+const countValues = (anime, valuesOf) => {
+  const counts = new Map(); // lowercased -> { value, count }
+  anime.forEach(item => {
+    const seen = new Set();
+    valuesOf(item).forEach(value => {
+      if (value === null || value === undefined || value === '' || value === 'Unknown') return;
+      const key = String(value).toLowerCase();
+      if (seen.has(key)) return;
+      seen.add(key);
+      if (!counts.has(key)) counts.set(key, { value, count: 0 });
+      counts.get(key).count++;
+    });
+  });
+  return [...counts.values()].sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+};
+
+// [{ season, year, count }], newest first
+const countSeasons = (anime) => {
+  const counts = new Map();
+  anime.forEach(item => {
+    const year = yearOf(item.startDate);
+    if (!SEASONS.includes(item.season) || !year) return;
+    const key = `${item.season} ${year}`;
+    if (!counts.has(key)) counts.set(key, { season: item.season, year, count: 0 });
+    counts.get(key).count++;
+  });
+  return [...counts.values()].sort((a, b) => b.year - a.year || SEASONS.indexOf(b.season) - SEASONS.indexOf(a.season));
+};
+
+const COUNTERS = {
+  genres: (anime) => countValues(anime, item => item.genres || []),
+  studios: (anime) => countValues(anime, item => item.studios || []),
+  seasons: countSeasons,
+  statuses: (anime) => countValues(anime, item => [item.status]),
+  countries: (anime) => countValues(anime, item => [item.country]),
+  tagalogDub: (anime) => {
+    const dubbed = anime.filter(item => item.hasTagalogDub === true).length;
+    return { dubbed, notDubbed: anime.length - dubbed };
+  }
+};
+
+// Returns { total, facets } for library anime details (with overrides and
+// hasTagalogDub applied) and filters from parseLibraryQuery
+const computeFacets = (anime, filters) => {
+  const facets = {};
+  Object.entries(FACETS).forEach(([name, { skip }]) => {
+    facets[name] = COUNTERS[name](anime.filter(item => matchesFilters(item, filters, skip)));
+  });
+
+  return {
+    total: anime.filter(item => matchesFilters(item, filters)).length,
+    facets
+  };
+};
+
+module.exports = { FACETS, computeFacets };
@@ -0,0 +1,195 @@
+const { FORMATS, SEASONS, STATUSES } = require('./anilist-search');
+const { createParamReader, parseInteger } = require('./query-params');
+
+// Query parameters accepted by GET /api/anime and /api/anime/tagalog to
+// filter, sort and page through library anime. Enum values are matched
+// case-insensitively, like the provider search.
+const SORT_FIELDS = ['title', 'rating', 'popularity', 'startDate', 'dateAdded'];
+// Titles A-Z; everything else biggest / newest first
+const DEFAULT_ORDER = { title: 'asc', rating: 'desc', popularity: 'desc', startDate: 'desc', dateAdded: 'desc' };
+
+const DEFAULT_PER_PAGE = 20;
+const MAX_PER_PAGE = 100;
+
+// "Action, Comedy" -> ['action', 'comedy']
+const parseList = (value) => String(value).split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+
+// Returns { filters, sort, order, page, perPage, paged, errors }. `paged` is
+// false when neither page nor perPage was given.
+const parseLibraryQuery = (params) => {
+  const errors = [];
+  const filters = {};
+  const { given, intParam } = createParamReader(params, errors);
+
+  // Anime must have all of the listed genres / studios
+  if (given('genre')) filters.genres = parseList(params.genre);
+  if (given('studio')) filters.studios = parseList(params.studio);
+
+  Object.entries({ status: STATUSES, season: SEASONS, format: FORMATS }).forEach(([name, allowed]) => {
+    if (!given(name)) return;
+    const value = String(params[name]).trim().toUpperCase();
+    if (allowed.includes(value)) {
+      filters[name] = value;
+    } else {
+      errors.push({ path: name, message: `must be one of ${allowed.join(', ')}` });
+    }
+  });
+
+  if (given('year')) {
+    const year = parseInteger(params.year);
+    if (year >= 1900 && year <= 2100) {
+      filters.year = year;
+    } else {
+      errors.push({ path: 'year', message: 'must be a whole number from 1900 to 2100' });
+    }
+  }
+
+  if (given('country')) {
+    const country = String(params.country).trim().toUpperCase();
+    if (/^[A-Z]{2}$/.test(country)) {
+      filters.country = country;
+    } else {
+      errors.push({ path: 'country', message: 'must be a two-letter country code such as JP' });
+    }
+  }
+
+  ['hasTagalogDub', 'isAdult'].forEach(name => {
+    if (!given(name)) return;
+    if (params[name] === 'true' || params[name] === 'false') {
+      filters[name] = params[name] === 'true';
+    } else {
+      errors.push({ path: name, message: 'must be true or false' });
+    }
+  });
+
+  let sort = null;
+  let order = null;
+  if (given('sort')) {
+    if (SORT_FIELDS.includes(params.sort)) {
+      sort = params.sort;
+      order = DEFAULT_ORDER[sort];
+    } else {
+      errors.push({ path: 'sort', message: `must be one of ${SORT_FIELDS.join(', ')}` });
+    }
+  }
+  if (given('order')) {
+    if (params.order !== 'asc' && params.order !== 'desc') {
+      errors.push({ path: 'order', message: 'must be asc or desc' });
+    } else if (!sort) {
+      errors.push({ path: 'order', message: 'needs a sort field' });
+    } else {
+      order = params.order;
+    }
+  }
+
+  const page = intParam('page', { min: 1, max: 10000, fallback: 1 });
+  const perPage = intParam('perPage', { min: 1, max: MAX_PER_PAGE, fallback: DEFAULT_PER_PAGE });
+
+  return { filters, sort, order, page, perPage, paged: given('page') || given('perPage'), errors };
+};
+
+// Query parameters of GET /api/library/search: query (required), the
+// listing filters above, page and perPage. Results are ranked by relevance,
+// so sort and order aren't accepted, and neither is anything else (such as
+// the AniList search's seasonYear) that would otherwise be ignored.
+const SEARCH_PARAMS = ['query', 'page', 'perPage', 'genre', 'studio', 'status', 'season', 'format', 'year', 'country', 'hasTagalogDub', 'isAdult'];
+
+// Returns { query, filters, page, perPage, errors }
+const parseLibrarySearchParams = (params) => {
+  const { filters, page, perPage, errors } = parseLibraryQuery(params);
+  const query = typeof params.query === 'string' ? params.query.trim() : '';
+  if (!query) errors.unshift({ path: 'query', message: 'is required' });
+
+  Object.keys(params)
+    .filter(name => !SEARCH_PARAMS.includes(name))
+    .forEach(name => {
+      // parseLibraryQuery has already checked sort and order; replace its message
+      const index = errors.findIndex(error => error.path === name);
+      if (index !== -1) errors.splice(index, 1);
+      errors.push({ path: name, message: 'is not supported by the library search' });
+    });
+
+  return { query, filters, page, perPage, errors };
+};
+
+const yearOf = (date) => (date ? parseInt(String(date).slice(0, 4)) : null);
+
+// Whether an anime detail (with overrides and hasTagalogDub applied) passes
+// every filter except those named in `skip`
+const matchesFilters = (anime, filters, skip = []) => Object.entries(filters).every(([name, wanted]) => {
+  if (skip.includes(name)) return true;
+  switch (name) {
+    case 'genres':
+    case 'studios': {
+      const values = (anime[name] || []).map(value => value.toLowerCase());
+      return wanted.every(item => values.includes(item));
+    }
+    case 'year':
+      return yearOf(anime.startDate) === wanted;
+    case 'hasTagalogDub':
+    case 'isAdult':
+      return (anime[name] === true) === wanted;
+    default:
+      return anime[name] === wanted;
+  }
+});
+
+// Sort value of an anime; null sorts last in either direction
+const sortValue = (anime, sort) => {
+  switch (sort) {
+    case 'title':
+      return (anime.title || anime.titleRomaji || '').toLowerCase() || null;
+    case 'rating':
+    case 'popularity':
+      return typeof anime[sort] === 'number' && anime[sort] > 0 ? anime[sort] : null;
+    default: {
+      const time = Date.parse(anime[sort]);
+      return isNaN(time) ? null : time;
+    }
+  }
+};
+
+const compareBy = (sort, order) => (a, b) => {
+  const left = sortValue(a, sort);
+  const right = sortValue(b, sort);
+  if (left === null || right === null) {
+    if (left !== right) return left === null ? 1 : -1;
+  } else if (left !== right) {
+    const result = typeof left === 'string' ? left.localeCompare(right) : left - right;
+    return order === 'desc' ? -result : result;
+  }
+  return (a.title || '').localeCompare(b.title || '') || String(a.id).localeCompare(String(b.id));
+};
+
+// Filter and sort `anime` (library order when no sort is given), then take
+// the requested page. Returns { results, pageInfo } with pageInfo in the
+// shape of the provider search; `results` is everything that matched when
+// the query isn't paged.
+const queryLibrary = (anime, { filters, sort, order, page, perPage, paged }) => {
+  const matches = anime.filter(item => matchesFilters(item, filters));
+  if (sort) matches.sort(compareBy(sort, order));
+
+  const size = paged ? perPage : Math.max(matches.length, 1);
+  const lastPage = Math.max(1, Math.ceil(matches.length / size));
+  const currentPage = paged ? page : 1;
+  return {
+    results: matches.slice((currentPage - 1) * size, currentPage * size),
+    pageInfo: {
+      total: matches.length,
+      currentPage,
+      lastPage,
+      perPage: size,
+      hasNextPage: currentPage < lastPage
+    }
+  };
+};
+
+module.exports = {
+  MAX_PER_PAGE,
+  SORT_FIELDS,
+  matchesFilters,
+  parseLibraryQuery,
+  parseLibrarySearchParams,
+  yearOf,
+  queryLibrary
+};
@@ -0,0 +1,140 @@
+const { createSearchIndex } = require('./search-index');
+const { applyOverrides } = require('./overrides');
+const { isCustomAnime } = require('./custom-anime');
+
+// How much a match in each field counts towards relevance
+const FIELD_WEIGHTS = {
+  title: 3,
+  titleRomaji: 3,
+  titleNative: 3,
+  synonyms: 2,
+  overrides: 1,
+  studios: 1,
+  genres: 1,
+  episodes: 0.5
+};
+
+const TITLE_FIELDS = ['title', 'titleRomaji', 'titleNative'];
+
+// Titles the upload form fills in when none is given; not worth matching
+const isDefaultEpisodeTitle = (title) => /^(episode|recap|special|ova)\s+\d+(\.\d+)?$/i.test(String(title).trim());
+
+// Search index over the library. Documents combine the provider's metadata
+// (from `getDetail`, e.g. the metadata cache; custom anime use their stored
+// record), the admin's overrides and episode titles. Call `applyOps` after
+// every store commit and `refresh(id)` whenever an anime's metadata changes.
+const createLibrarySearch = ({ store, getDetail }) => {
+  const index = createSearchIndex({ weights: FIELD_WEIGHTS });
+
+  const buildDocument = (record) => {
+    const upstream = (isCustomAnime(record) ? record : getDetail(record.id)) || {};
+    const overrides = record.overrides || {};
+    const detail = applyOverrides(upstream, overrides);
+
+    // Overridden titles stay findable under the provider's name too
+    const replacedTitles = TITLE_FIELDS.filter(field => overrides[field]).map(field => upstream[field]);
+
+    return {
+      title: detail.title,
+      titleRomaji: detail.titleRomaji,
+      titleNative: detail.titleNative,
+      synonyms: [...(detail.synonyms || []), ...replacedTitles],
+      overrides: overrides.description,
+      studios: detail.studios,
+      genres: detail.genres,
+      episodes: store.listByAnime('episodes', record.id)
+        .map(episode => episode.title)
+        .filter(title => title && !isDefaultEpisodeTitle(title))
+    };
+  };
+
+  // Re-index one anime, or drop it if it left the library
+  const refresh = (animeId) => {
+    const record = store.get('anime', animeId);
+    if (record) {
+      index.upsert(animeId, buildDocument(record));
+    } else {
+      index.remove(animeId);
+    }
+  };
+
+  const rebuild = () => {
+    index.clear();
+    store.all('anime').forEach(record => index.upsert(record.id, buildDocument(record)));
+  };
+
+  // A deleted episode can't be looked up any more, so remember which anime
+  // each one belongs to
+  const episodeAnime = new Map();
+  const rememberEpisodes = () => {
+    episodeAnime.clear();
+    store.all('episodes').forEach(episode => episodeAnime.set(episode.id, episode.animeId));
+  };
+
+  // Update the index for a committed list of store operations (see storage/ops.js)
+  const applyOps = (ops) => {
+    if (ops.some(op => op.type === 'replace' && op.collection !== 'scheduled')) {
+      rememberEpisodes();
+      rebuild();
+      return;
+    }
+
+    const changed = new Set();
+    ops.forEach(op => {
+      if (op.collection === 'anime') {
+        changed.add(op.type === 'put' ? op.record.id : op.id);
+      } else if (op.collection === 'episodes') {
+        if (op.type === 'put') {
+          const previous = episodeAnime.get(op.record.id);
+          if (previous && previous !== op.record.animeId) changed.add(previous);
+          episodeAnime.set(op.record.id, op.record.animeId);
+          changed.add(op.record.animeId);
+        } else if (op.type === 'delete') {
+          const animeId = episodeAnime.get(op.id);
+          episodeAnime.delete(op.id);
+          if (animeId) changed.add(animeId);
+        } else if (op.type === 'deleteByAnime') {
+          episodeAnime.forEach((animeId, episodeId) => {
+            if (animeId === op.animeId) episodeAnime.delete(episodeId);
+          });
+          changed.add(op.animeId);
+        }
+      }
+    });
+    changed.forEach(refresh);
+  };
+
+  return {
+    get size() {
+      return index.size;
+    },
+
+    // Index the whole library (at startup)
+    build() {
+      rememberEpisodes();
+      rebuild();
+    },
+
+    applyOps,
+    refresh,
+
+    // Returns { results: [{ id, score, match }], pageInfo } in the shape of
+    // the provider search. `filter(id)` can drop matches before paging.
+    search(query, { page = 1, perPage = 10, filter } = {}) {
+      const matches = filter ? index.search(query).filter(match => filter(match.id)) : index.search(query);
+      const lastPage = Math.max(1, Math.ceil(matches.length / perPage));
+      return {
+        results: matches.slice((page - 1) * perPage, page * perPage),
+        pageInfo: {
+          total: matches.length,
+          currentPage: page,
+          lastPage,
+          perPage,
+          hasNextPage: page < lastPage
+        }
+      };
+    }
+  };
+};
+
+module.exports = { FIELD_WEIGHTS, createLibrarySearch };
@@ -0,0 +1,284 @@
+const fs = require('fs');
+const axios = require('axios');
+const { readData, writeData } = require('./storage/files');
+const { mapWithConcurrency } = require('./anilist');
+
+// Background checks of episode video links. Every source of every episode
+// (see episode-sources.js) is probed with a small ranged GET; the latest
+// result per source is kept in DATA_DIR so a restart doesn't forget which
+// links have been failing.
+//   { key, episodeId, animeId, sourceId, url, host, kind, ok, status, error,
+//     latencyMs, checkedAt, lastOkAt, consecutiveFailures, broken }
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_TIMEOUT_MS = 10000;
+// Failed checks in a row before a source counts as broken; one bad check
+// may just be a slow host
+const FAILURE_THRESHOLD = 3;
+
+const resultKey = (episodeId, sourceId) => `${episodeId}:${sourceId}`;
+
+const hostOf = (url) => {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (error) {
+    return null;
+  }
+};
+
+// Fetch the first byte of a URL, like the video proxy does. Resolves to
+// { ok, status, error, latencyMs }; never rejects.
+const probeUrl = async (url, { timeoutMs = DEFAULT_TIMEOUT_MS } = {}) => {
+  const startedAt = Date.now();
+  try {
+    const response = await axios({
+      method: 'get',
+      url,
+      timeout: timeoutMs,
+      maxRedirects: 5,
+      responseType: 'stream',
+      validateStatus: () => true,
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+        'Range': 'bytes=0-0',
+        'Referer': new URL(url).origin
+      }
+    });
+    response.data.destroy();
+
+    return {
+      ok: response.status < 400,
+      status: response.status,
+      error: response.status < 400 ? null : `HTTP ${response.status}`,
+      latencyMs: Date.now() - startedAt
+    };
+  } catch (error) {
+    return { ok: false, status: null, error: error.code || error.message, latencyMs: Date.now() - startedAt };
+  }
+};
+
+// The checker. `getTargets(animeId?)` lists the sources to probe as
+// [{ episodeId, animeId, sourceId, url, kind }] (for one anime when given);
+// `probe(url)` defaults to probeUrl.
+const createLinkChecker = ({ filePath, getTargets, probe = probeUrl, concurrency = DEFAULT_CONCURRENCY, failureThreshold = FAILURE_THRESHOLD }) => {
+  const results = new Map();
+  let queue = Promise.resolve();
+  let pending = 0;
+  let fullRun = null;
+  let timer = null;
+  let lastRun = null;
+
+  if (fs.existsSync(filePath)) {
+    const saved = readData(filePath);
+    (Array.isArray(saved) ? saved : []).forEach(result => results.set(result.key, result));
+  }
+
+  const save = () => writeData(filePath, [...results.values()]);
+
+  // Forget results whose source is gone or now has another URL (for one
+  // anime, or all). Returns whether anything was dropped.
+  const prune = (animeId) => {
+    const current = new Map(getTargets(animeId).map(target => [resultKey(target.episodeId, target.sourceId), target.url]));
+    let dropped = false;
+    results.forEach((result, key) => {
+      if ((!animeId || result.animeId === animeId) && current.get(key) !== result.url) {
+        results.delete(key);
+        dropped = true;
+      }
+    });
+    return dropped;
+  };
+
+  const check = async (target) => {
+    const key = resultKey(target.episodeId, target.sourceId);
+    const previous = results.get(key);
+    // A new URL starts a fresh failure count
+    const sameUrl = previous && previous.url === target.url;
+    const outcome = await probe(target.url);
+    const checkedAt = new Date().toISOString();
+    const consecutiveFailures = outcome.ok ? 0 : (sameUrl ? previous.consecutiveFailures : 0) + 1;
+
+    const result = {
+      key,
+      episodeId: target.episodeId,
+      animeId: target.animeId,
+      sourceId: target.sourceId,
+      url: target.url,
+      host: hostOf(target.url),
+      kind: target.kind,
+      ok: outcome.ok,
+      status: outcome.status,
+      error: outcome.error,
+      latencyMs: outcome.latencyMs,
+      checkedAt,
+      lastOkAt: outcome.ok ? checkedAt : (sameUrl ? previous.lastOkAt : null),
+      consecutiveFailures,
+      broken: consecutiveFailures >= failureThreshold
+    };
+    results.set(key, result);
+    return result;
+  };
+
+  const run = async ({ animeId } = {}) => {
+    const startedAt = new Date().toISOString();
+    const targets = getTargets(animeId);
+    const checked = await mapWithConcurrency(targets, concurrency, check);
+
+    // Sources may have been edited or removed while they were being probed
+    prune(animeId);
+    save();
+
+    const summary = {
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      animeId: animeId || null,
+      checked: checked.length,
+      failed: checked.filter(result => !result.ok).length,
+      broken: checked.filter(result => result.broken).length
+    };
+    if (!animeId) lastRun = summary;
+
+    console.log(`Link check${animeId ? ` for anime ${animeId}` : ''}: ${summary.failed} of ${summary.checked} sources failed, ${summary.broken} broken`);
+    return summary;
+  };
+
+  // Runs go one at a time, in the order they were asked for
+  const enqueue = (options) => {
+    pending++;
+    const result = queue.then(() => run(options)).finally(() => { pending--; });
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  // A deleted episode can't be looked up any more; its results still say
+  // which anime it belonged to
+  const animeOfEpisode = (episodeId) => [...results.values()]
+    .filter(result => result.episodeId === episodeId)
+    .map(result => result.animeId);
+
+  return {
+    // Check every source now, or only those of one anime. A call for one
+    // anime waits for the run in progress and then checks its own sources;
+    // full checks share one that hasn't finished yet.
+    run(options = {}) {
+      if (options.animeId) return enqueue(options);
+      if (!fullRun) {
+        fullRun = enqueue({}).finally(() => { fullRun = null; });
+      }
+      return fullRun;
+    },
+
+    // Drop the results of deleted or changed sources for a committed list
+    // of store operations (see storage/ops.js)
+    applyOps(ops) {
+      let dropped = false;
+      if (ops.some(op => op.type === 'replace' && op.collection === 'episodes')) {
+        dropped = prune();
+      } else {
+        const changed = new Set();
+        ops.forEach(op => {
+          if (op.collection === 'anime' && op.type === 'delete') {
+            changed.add(op.id);
+          } else if (op.collection === 'episodes') {
+            if (op.type === 'put') {
+              animeOfEpisode(op.record.id).forEach(animeId => changed.add(animeId));
+              changed.add(op.record.animeId);
+            } else if (op.type === 'delete') {
+              animeOfEpisode(op.id).forEach(animeId => changed.add(animeId));
+            } else if (op.type === 'deleteByAnime') {
+              changed.add(op.animeId);
+            }
+          }
+        });
+        changed.forEach(animeId => {
+          if (prune(animeId)) dropped = true;
+        });
+      }
+      if (dropped) save();
+    },
+
+    start(intervalMs) {
+      // Sources removed while the server was down
+      if (prune()) save();
+      const tick = () => this.run().catch(error => console.error('Link check failed:', error));
+      timer = setInterval(tick, intervalMs);
+      timer.unref();
+      return timer;
+    },
+
+    // Latest results, optionally for one anime
+    list(animeId) {
+      return [...results.values()].filter(result => !animeId || result.animeId === animeId);
+    },
+
+    status() {
+      const all = [...results.values()];
+      return {
+        running: pending > 0,
+        queued: Math.max(pending - 1, 0),
+        failureThreshold,
+        checked: all.length,
+        failing: all.filter(result => !result.ok).length,
+        broken: all.filter(result => result.broken).length,
+        lastRun
+      };
+    }
+  };
+};
+
+// Broken sources grouped by anime (then episode) and by host. An episode
+// is dead when none of its sources work. `describe(animeId)` and
+// `getEpisode(episodeId)` add titles and episode numbers.
+const buildReport = (results, { describe, getEpisode }) => {
+  const broken = results.filter(result => result.broken);
+  const byAnime = new Map();
+  const byHost = new Map();
+
+  broken.forEach(result => {
+    if (!byAnime.has(result.animeId)) {
+      byAnime.set(result.animeId, { animeId: result.animeId, ...describe(result.animeId), episodes: new Map() });
+    }
+    const animeEntry = byAnime.get(result.animeId);
+    if (!animeEntry.episodes.has(result.episodeId)) {
+      const episode = getEpisode(result.episodeId);
+      const episodeResults = results.filter(item => item.episodeId === result.episodeId);
+      animeEntry.episodes.set(result.episodeId, {
+        episodeId: result.episodeId,
+        number: episode ? episode.number : null,
+        title: episode ? episode.title : null,
+        // Unchecked sources count as working until proven otherwise
+        dead: episodeResults.every(item => item.broken) && (!episode || !Array.isArray(episode.sources) || episode.sources.length <= episodeResults.length),
+        sources: []
+      });
+    }
+    animeEntry.episodes.get(result.episodeId).sources.push(result);
+
+    const host = result.host || 'unknown';
+    if (!byHost.has(host)) byHost.set(host, { host, brokenSources: 0, episodes: new Set(), anime: new Set() });
+    const hostEntry = byHost.get(host);
+    hostEntry.brokenSources++;
+    hostEntry.episodes.add(result.episodeId);
+    hostEntry.anime.add(result.animeId);
+  });
+
+  const anime = [...byAnime.values()].map(entry => {
+    const episodes = [...entry.episodes.values()].sort((a, b) => (a.number || 0) - (b.number || 0));
+    return { ...entry, brokenEpisodes: episodes.length, deadEpisodes: episodes.filter(episode => episode.dead).length, episodes };
+  }).sort((a, b) => b.brokenEpisodes - a.brokenEpisodes);
+
+  const hosts = [...byHost.values()].map(entry => ({
+    host: entry.host,
+    brokenSources: entry.brokenSources,
+    episodes: entry.episodes.size,
+    anime: entry.anime.size
+  })).sort((a, b) => b.brokenSources - a.brokenSources);
+
+  return { anime, hosts };
+};
+
+module.exports = {
+  FAILURE_THRESHOLD,
+  buildReport,
+  createLinkChecker,
+  hostOf,
+  probeUrl
+};
@@ -0,0 +1,125 @@
+const { COLLECTIONS } = require('./storage/files');
+const { episodeKey: numberingKey } = require('./episode-numbering');
+
+// How to settle a record that exists on both sides with different content:
+//   keep-local     leave the local record as it is
+//   take-incoming  overwrite the local record with the incoming one
+//   newest         whichever has the later dateAdded wins (a tie is a conflict)
+//   manual         report it as a conflict and change nothing (default)
+const MERGE_RULES = ['keep-local', 'take-incoming', 'newest', 'manual'];
+const DEFAULT_RULE = 'manual';
+
+const episodeKey = (episode) => `${episode.animeId}#${numberingKey(episode)}`;
+
+// `rev` is assigned by this server, so an exported copy differing only there is identical
+const changedFields = (local, incoming) => {
+  const keys = new Set([...Object.keys(local), ...Object.keys(incoming)]);
+  return [...keys].filter(key => key !== 'rev' && JSON.stringify(local[key]) !== JSON.stringify(incoming[key]));
+};
+
+// Decide which side wins for a differing pair, or null for a conflict
+const resolve = (rule, local, incoming) => {
+  switch (rule) {
+    case 'keep-local':
+      return 'local';
+    case 'take-incoming':
+      return 'incoming';
+    case 'newest': {
+      const localTime = Date.parse(local.dateAdded);
+      const incomingTime = Date.parse(incoming.dateAdded);
+      if (isNaN(localTime) || isNaN(incomingTime) || localTime === incomingTime) return null;
+      return incomingTime > localTime ? 'incoming' : 'local';
+    }
+    default:
+      return null;
+  }
+};
+
+// Build a lookup for local records. Episodes are matched on animeId + season,
+// type and number first and fall back to id; anime and schedules match on id
+// only.
+const createMatcher = (collection, localRecords) => {
+  const byId = new Map(localRecords.map(record => [record.id, record]));
+
+  if (collection !== 'episodes') {
+    return (incoming) => byId.get(incoming.id) || null;
+  }
+
+  const byKey = new Map(localRecords.map(record => [episodeKey(record), record]));
+  return (incoming) => byKey.get(episodeKey(incoming)) || byId.get(incoming.id) || null;
+};
+
+// Work out what merging `incoming` into `local` would do, without writing.
+// Returns a report per collection plus the storage operations that apply it.
+const planMerge = ({ local, incoming, rules = {} }) => {
+  const report = {};
+  const ops = [];
+
+  // Anime ids that will exist after the merge, for orphan checks below
+  const knownAnimeIds = new Set([
+    ...local.anime.map(anime => anime.id),
+    ...incoming.anime.map(anime => anime.id)
+  ]);
+
+  COLLECTIONS.forEach(collection => {
+    const rule = rules[collection] || DEFAULT_RULE;
+    const findLocal = createMatcher(collection, local[collection]);
+    const result = { rule, added: [], updated: [], skipped: [], conflicts: [] };
+    const seen = new Set();
+
+    incoming[collection].forEach(record => {
+      // The same record twice in one file - first one wins
+      const identity = collection === 'episodes' ? episodeKey(record) : record.id;
+      if (seen.has(identity)) {
+        result.skipped.push({ id: record.id, reason: 'duplicate in import' });
+        return;
+      }
+      seen.add(identity);
+
+      if (collection !== 'anime' && !knownAnimeIds.has(record.animeId)) {
+        result.skipped.push({ id: record.id, reason: `anime ${record.animeId} is not in the library` });
+        return;
+      }
+
+      const localRecord = findLocal(record);
+
+      if (!localRecord) {
+        result.added.push(record);
+        ops.push({ type: 'put', collection, record });
+        return;
+      }
+
+      // Keep the local id so references to a matched episode stay valid
+      const merged = { ...record, id: localRecord.id };
+      const fields = changedFields(localRecord, merged);
+
+      if (fields.length === 0) {
+        result.skipped.push({ id: localRecord.id, reason: 'identical' });
+        return;
+      }
+
+      const winner = resolve(rule, localRecord, merged);
+
+      if (winner === 'incoming') {
+        result.updated.push({ id: localRecord.id, fields, local: localRecord, incoming: merged });
+        ops.push({ type: 'put', collection, record: merged });
+      } else if (winner === 'local') {
+        result.skipped.push({ id: localRecord.id, reason: rule, fields });
+      } else {
+        result.conflicts.push({ id: localRecord.id, fields, local: localRecord, incoming: merged });
+      }
+    });
+
+    result.counts = {
+      added: result.added.length,
+      updated: result.updated.length,
+      skipped: result.skipped.length,
+      conflicts: result.conflicts.length
+    };
+    report[collection] = result;
+  });
+
+  return { report, ops };
+};
+
+module.exports = { MERGE_RULES, DEFAULT_RULE, planMerge };
@@ -0,0 +1,254 @@
+const fs = require('fs');
+const { readData, writeData } = require('./storage/files');
+
+// Cache for anime metadata fetched from AniList, saved to DATA_DIR so it
+// survives restarts. Entries are kept as { data, fetchedAt } and go stale
+// after `ttlMs`. A stale entry is still returned straight away while a
+// background refresh fetches a new copy (stale-while-revalidate); if that
+// refresh fails the stale copy stays in place.
+//
+// `load(id)` fetches fresh data for an id and resolves to it (or rejects).
+// `loadMany(ids)` optionally does the same for several ids in one go and
+// resolves to a Map of id -> data; ids it leaves out count as failed.
+// `onUpdate(id, previous, data)` is called when a cached entry is replaced by
+// a fresh fetch, so callers can see what changed. `onChange(id)` is called
+// whenever an entry is added, changed or removed.
+const createMetadataCache = ({ filePath, ttlMs, load, loadMany, onUpdate, onChange, saveDelayMs = 2000 }) => {
+  const entries = new Map();
+  const refreshing = new Map(); // id -> in-flight load promise
+  let saveTimer = null;
+
+  const save = () => {
+    if (saveTimer) {
+      clearTimeout(saveTimer);
+      saveTimer = null;
+    }
+    return writeData(filePath, { entries: Object.fromEntries(entries) });
+  };
+
+  // Batch writes: many entries are often fetched in one request
+  const scheduleSave = () => {
+    if (saveTimer) return;
+    saveTimer = setTimeout(save, saveDelayMs);
+    saveTimer.unref();
+  };
+
+  const isStale = (entry) => Date.now() - Date.parse(entry.fetchedAt) > ttlMs;
+
+  const notifyChange = (id) => {
+    if (!onChange) return;
+    try {
+      onChange(id);
+    } catch (error) {
+      console.error(`Error handling cache change for ${id}:`, error);
+    }
+  };
+
+  // Store a fetched copy and report it against the one it replaces
+  const storeEntry = (id, data, fetchedAt) => {
+    const previous = entries.get(id);
+    entries.set(id, { data, fetchedAt });
+
+    if (previous && onUpdate) {
+      try {
+        onUpdate(id, previous.data, data);
+      } catch (error) {
+        console.error(`Error handling cache update for ${id}:`, error);
+      }
+    }
+    notifyChange(id);
+  };
+
+  // Fetch and store an id, sharing one request between concurrent callers
+  const refresh = (id) => {
+    if (refreshing.has(id)) return refreshing.get(id);
+
+    const pending = Promise.resolve()
+      .then(() => load(id))
+      .then(data => {
+        storeEntry(id, data, new Date().toISOString());
+        scheduleSave();
+        return data;
+      })
+      .finally(() => refreshing.delete(id));
+
+    refreshing.set(id, pending);
+    return pending;
+  };
+
+  // Fetch and store several ids with one loadMany call (ids already being
+  // fetched join the request in flight). Resolves to a Map of what loaded.
+  const refreshMany = async (ids) => {
+    const toLoad = ids.filter(id => !refreshing.has(id));
+
+    if (toLoad.length > 0 && loadMany) {
+      const batch = Promise.resolve()
+        .then(() => loadMany(toLoad))
+        .then(loaded => {
+          const fetchedAt = new Date().toISOString();
+          loaded.forEach((data, id) => storeEntry(id, data, fetchedAt));
+          if (loaded.size > 0) scheduleSave();
+          return loaded;
+        });
+
+      toLoad.forEach(id => {
+        const pending = batch
+          .then(loaded => {
+            if (!loaded.has(id)) throw new Error(`No data returned for ${id}`);
+            return loaded.get(id);
+          })
+          .finally(() => refreshing.delete(id));
+        pending.catch(() => {}); // Failures are reported through the results below
+        refreshing.set(id, pending);
+      });
+    }
+
+    const results = await Promise.allSettled(ids.map(id => refreshing.get(id) || refresh(id)));
+
+    const loaded = new Map();
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled') loaded.set(ids[index], result.value);
+    });
+    return loaded;
+  };
+
+  if (fs.existsSync(filePath)) {
+    const saved = readData(filePath);
+    Object.entries((saved && saved.entries) || {}).forEach(([id, entry]) => {
+      if (entry && entry.data && !isNaN(Date.parse(entry.fetchedAt))) {
+        entries.set(id, entry);
+      }
+    });
+  }
+
+  return {
+    ttlMs,
+
+    get size() {
+      return entries.size;
+    },
+
+    has(id) {
+      return entries.has(id);
+    },
+
+    // Cached data without any fetching, fresh or stale (undefined if absent)
+    peek(id) {
+      const entry = entries.get(id);
+      return entry ? entry.data : undefined;
+    },
+
+    // Cached data, refreshed in the background when stale; fetched (and
+    // awaited) when the id isn't cached yet
+    async get(id) {
+      const entry = entries.get(id);
+      if (!entry) return refresh(id);
+
+      if (isStale(entry)) {
+        refresh(id).catch(error => {
+          console.error(`Background refresh failed for anime ${id}, keeping cached copy:`, error.message);
+        });
+      }
+
+      return entry.data;
+    },
+
+    // Cached data for several ids as a Map, like get(). Missing ids are
+    // fetched together; ids that can't be fetched are left out of the Map.
+    async getMany(ids) {
+      const result = new Map();
+      const missing = [];
+      const stale = [];
+
+      ids.forEach(id => {
+        const entry = entries.get(id);
+        if (!entry) {
+          missing.push(id);
+          return;
+        }
+        result.set(id, entry.data);
+        if (isStale(entry)) stale.push(id);
+      });
+
+      if (stale.length > 0) {
+        refreshMany(stale).then(loaded => {
+          if (loaded.size < stale.length) {
+            console.error(`Background refresh failed for ${stale.length - loaded.size} of ${stale.length} stale anime, keeping cached copies`);
+          }
+        });
+      }
+
+      if (missing.length > 0) {
+        (await refreshMany(missing)).forEach((data, id) => result.set(id, data));
+      }
+
+      return result;
+    },
+
+    // Fetch several ids now, fresh or not. Resolves to a Map of what loaded.
+    refresh(ids) {
+      return refreshMany(ids);
+    },
+
+    // Store freshly fetched data
+    set(id, data) {
+      entries.set(id, { data, fetchedAt: new Date().toISOString() });
+      scheduleSave();
+      notifyChange(id);
+    },
+
+    // Change cached data without treating it as a new fetch
+    patch(id, changes) {
+      const entry = entries.get(id);
+      if (!entry) return false;
+
+      entries.set(id, { ...entry, data: { ...entry.data, ...changes } });
+      scheduleSave();
+      notifyChange(id);
+      return true;
+    },
+
+    delete(id) {
+      const deleted = entries.delete(id);
+      if (deleted) {
+        scheduleSave();
+        notifyChange(id);
+      }
+      return deleted;
+    },
+
+    clear() {
+      const ids = [...entries.keys()];
+      entries.clear();
+      save();
+      ids.forEach(notifyChange);
+      return ids.length;
+    },
+
+    // Entry metadata for the admin endpoints
+    describe(id) {
+      const entry = entries.get(id);
+      if (!entry) return null;
+
+      return {
+        id,
+        title: entry.data.title || entry.data.titleRomaji || null,
+        fetchedAt: entry.fetchedAt,
+        expiresAt: new Date(Date.parse(entry.fetchedAt) + ttlMs).toISOString(),
+        stale: isStale(entry),
+        refreshing: refreshing.has(id)
+      };
+    },
+
+    list() {
+      return [...entries.keys()].map(id => this.describe(id));
+    },
+
+    // Write pending changes now (on the sync interval and at shutdown)
+    flush() {
+      return saveTimer ? save() : true;
+    }
+  };
+};
+
+module.exports = { createMetadataCache };
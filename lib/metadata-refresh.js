@@ -0,0 +1,165 @@
+const fs = require('fs');
+const { readData, writeData } = require('./storage/files');
+
+// Fields of formatAnimeData output worth telling an admin about
+const TRACKED_FIELDS = ['status', 'episodeCount', 'endDate', 'banner'];
+
+// How often library entries are re-fetched, by AniList status. Airing shows
+// change often; finished ones hardly ever.
+const REFRESH_INTERVAL_HOURS = {
+  RELEASING: 6,
+  NOT_YET_RELEASED: 24,
+  HIATUS: 72,
+  FINISHED: 24 * 30,
+  CANCELLED: 24 * 30
+};
+const DEFAULT_REFRESH_INTERVAL_HOURS = 24;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const refreshIntervalMs = (status) => (REFRESH_INTERVAL_HOURS[status] || DEFAULT_REFRESH_INTERVAL_HOURS) * HOUR_MS;
+
+// Tracked fields that differ between two formatAnimeData results
+const diffMetadata = (before, after) => TRACKED_FIELDS
+  .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+  .map(field => ({ field, from: before[field], to: after[field] }));
+
+// One line for the dashboard, e.g.
+// "Frieren is now FINISHED with 28 eps, we only have 20"
+const summarizeChanges = ({ title, changes, after, episodesInLibrary }) => {
+  const changed = new Set(changes.map(change => change.field));
+  const episodeCount = parseInt(after.episodeCount);
+  const parts = [];
+
+  if (changed.has('status')) {
+    parts.push(`is now ${after.status}${isNaN(episodeCount) ? '' : ` with ${episodeCount} eps`}`);
+  } else if (changed.has('episodeCount')) {
+    parts.push(`now has ${isNaN(episodeCount) ? after.episodeCount : episodeCount} eps`);
+  }
+  if (changed.has('endDate')) {
+    parts.push(after.endDate ? `ends ${after.endDate}` : 'no longer has an end date');
+  }
+  if (changed.has('banner')) {
+    parts.push('has a new banner');
+  }
+
+  let summary = `${title} ${parts.join(', ')}`;
+  if ((changed.has('status') || changed.has('episodeCount')) && episodesInLibrary < episodeCount) {
+    summary += `, we only have ${episodesInLibrary}`;
+  }
+  return summary;
+};
+
+// Recent metadata changes, newest first, saved to DATA_DIR
+const createChangeLog = ({ filePath, limit = 500 }) => {
+  let entries = [];
+
+  if (fs.existsSync(filePath)) {
+    const saved = readData(filePath);
+    entries = Array.isArray(saved) ? saved : [];
+  }
+
+  return {
+    record(entry) {
+      entries.unshift(entry);
+      entries = entries.slice(0, limit);
+      return writeData(filePath, entries);
+    },
+
+    // Filter by anime and/or detection time (ISO string), newest first
+    list({ animeId, since, limit: max = 50 } = {}) {
+      return entries
+        .filter(entry => !animeId || entry.animeId === animeId)
+        .filter(entry => !since || entry.detectedAt > since)
+        .slice(0, max);
+    }
+  };
+};
+
+// Re-fetch library entries through the metadata cache when they are due for
+// their status. Changes are picked up by the cache's onUpdate hook, so the
+// job only has to decide what to fetch.
+//   getLibraryIds()  ids of the anime in the library
+const createMetadataRefresher = ({ cache, getLibraryIds }) => {
+  let queue = Promise.resolve();
+  let pending = 0;
+  let dueRun = null;
+  let timer = null;
+  let lastRun = null;
+
+  // Library ids whose cached copy is missing or older than its status allows
+  const dueIds = (now = Date.now()) => getLibraryIds().filter(id => {
+    const entry = cache.describe(id);
+    if (!entry) return true;
+    return now - Date.parse(entry.fetchedAt) >= refreshIntervalMs(cache.peek(id).status);
+  });
+
+  const run = async ({ ids } = {}) => {
+    const startedAt = new Date().toISOString();
+    const targets = ids || dueIds();
+
+    const loaded = targets.length > 0 ? await cache.refresh(targets) : new Map();
+
+    lastRun = {
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      checked: targets.length,
+      refreshed: loaded.size,
+      failed: targets.filter(id => !loaded.has(id))
+    };
+
+    if (targets.length > 0) {
+      console.log(`Metadata refresh: ${loaded.size} of ${targets.length} anime refreshed`);
+    }
+    return lastRun;
+  };
+
+  // Runs go one at a time, in the order they were asked for
+  const enqueue = (options) => {
+    pending++;
+    const result = queue.then(() => run(options)).finally(() => { pending--; });
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  return {
+    dueIds,
+
+    // Refresh now (the given ids, or everything that is due). A call with
+    // ids waits for the run in progress and then refreshes its own ids;
+    // calls for whatever is due share one that hasn't finished yet.
+    run(options = {}) {
+      if (options.ids) return enqueue(options);
+      if (!dueRun) {
+        dueRun = enqueue({}).finally(() => { dueRun = null; });
+      }
+      return dueRun;
+    },
+
+    start(intervalMs) {
+      const tick = () => this.run().catch(error => console.error('Metadata refresh failed:', error));
+      timer = setInterval(tick, intervalMs);
+      timer.unref();
+      return timer;
+    },
+
+    status() {
+      return {
+        running: pending > 0,
+        queued: Math.max(pending - 1, 0),
+        due: dueIds().length,
+        lastRun
+      };
+    }
+  };
+};
+
+module.exports = {
+  TRACKED_FIELDS,
+  REFRESH_INTERVAL_HOURS,
+  createChangeLog,
+  createMetadataRefresher,
+  diffMetadata,
+  refreshIntervalMs,
+  summarizeChanges
+};
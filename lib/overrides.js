@@ -0,0 +1,77 @@
+// Per-field overrides an admin sets on a library anime (a Filipino title, a
+// Tagalog synopsis, a better banner). They are stored on the anime record in
+// customAnimeList as `overrides: { field: value }` and merged over provider
+// data when it is read, so a cache refill never loses them.
+const STRING_FIELDS = ['title', 'titleRomaji', 'titleNative', 'description', 'thumbnail', 'banner', 'status', 'season', 'format'];
+const LIST_FIELDS = ['synonyms', 'genres', 'studios'];
+const COUNT_FIELDS = ['episodeCount', 'duration']; // Strings in the provider shape
+const DATE_FIELDS = ['startDate', 'endDate'];
+
+const OVERRIDABLE_FIELDS = [...STRING_FIELDS, ...LIST_FIELDS, ...COUNT_FIELDS, ...DATE_FIELDS];
+
+// Validate one override value; returns [value, error message]
+const parseValue = (field, value) => {
+  if (STRING_FIELDS.includes(field)) {
+    return typeof value === 'string' && value.trim() !== '' ? [value.trim()] : [null, 'must be a non-empty string'];
+  }
+  if (LIST_FIELDS.includes(field)) {
+    return Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim() !== '')
+      ? [value.map(item => item.trim())]
+      : [null, 'must be an array of strings'];
+  }
+  if (COUNT_FIELDS.includes(field)) {
+    const count = Number(value);
+    return value !== '' && Number.isInteger(count) && count >= 0 ? [count.toString()] : [null, 'must be a whole number'];
+  }
+  // Dates use the provider's YYYY-MM-DD form
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value))
+    ? [value]
+    : [null, 'must be a date like 2024-01-31'];
+};
+
+// Apply an update to the current overrides. A null value resets that field
+// to the provider's value. Returns { overrides, errors }.
+const parseOverrides = (input, existing = {}) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { overrides: null, errors: [{ path: '', message: 'must be an object' }] };
+  }
+
+  const overrides = { ...existing };
+  const errors = [];
+
+  Object.entries(input).forEach(([field, value]) => {
+    if (!OVERRIDABLE_FIELDS.includes(field)) {
+      errors.push({ path: field, message: `can't be overridden (allowed: ${OVERRIDABLE_FIELDS.join(', ')})` });
+      return;
+    }
+    if (value === null) {
+      delete overrides[field];
+      return;
+    }
+
+    const [parsed, message] = parseValue(field, value);
+    if (message) {
+      errors.push({ path: field, message });
+    } else {
+      overrides[field] = parsed;
+    }
+  });
+
+  return { overrides: errors.length > 0 ? null : overrides, errors };
+};
+
+// Provider data with the overrides on top. `overriddenFields` lists the
+// fields that don't come from the provider.
+const applyOverrides = (animeDetail, overrides) => {
+  const fields = Object.keys(overrides || {}).filter(field => OVERRIDABLE_FIELDS.includes(field));
+  const merged = { ...animeDetail, overriddenFields: fields };
+  fields.forEach(field => { merged[field] = overrides[field]; });
+  delete merged.overrides;
+  return merged;
+};
+
+module.exports = {
+  OVERRIDABLE_FIELDS,
+  applyOverrides,
+  parseOverrides
+};
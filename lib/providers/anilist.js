@@ -0,0 +1,191 @@
+const { formatRelations } = require('../franchise');
+const { toSearchResult } = require('./normalize');
+
+const PROVIDER_NAME = 'anilist';
+
+// Media fields used by formatMedia
+const animeMediaFields = `
+    id
+    title {
+      english
+      romaji
+      native
+    }
+    synonyms
+    description
+    genres
+    coverImage {
+      large
+      extraLarge
+    }
+    bannerImage
+    averageScore
+    popularity
+    episodes
+    duration
+    format
+    status
+    startDate {
+      year
+      month
+      day
+    }
+    endDate {
+      year
+      month
+      day
+    }
+    season
+    studios {
+      nodes {
+        name
+      }
+    }
+    countryOfOrigin
+    isAdult
+`;
+
+// Franchise links for library anime (see lib/franchise.js); not needed in search results
+const animeRelationFields = `
+    relations {
+      edges {
+        relationType
+        node {
+          id
+          type
+          format
+          status
+          title {
+            english
+            romaji
+          }
+          startDate {
+            year
+            month
+            day
+          }
+          coverImage {
+            large
+          }
+        }
+      }
+    }
+`;
+
+// GraphQL query to get anime details
+const getAnimeQuery = `
+query ($id: Int) {
+  Media(id: $id, type: ANIME) {${animeMediaFields}${animeRelationFields}  }
+}
+`;
+
+// GraphQL query to get details for up to 50 anime at once
+const getAnimeBatchQuery = `
+query ($ids: [Int], $perPage: Int) {
+  Page(page: 1, perPage: $perPage) {
+    media(id_in: $ids, type: ANIME) {${animeMediaFields}${animeRelationFields}    }
+  }
+}
+`;
+
+// GraphQL query to search anime, with paging and filters (see lib/anilist-search.js)
+const searchAnimeQuery = `
+query ($search: String, $page: Int, $perPage: Int, $sort: [MediaSort], $genres: [String],
+       $season: MediaSeason, $seasonYear: Int, $format: MediaFormat, $status: MediaStatus,
+       $countryOfOrigin: CountryCode, $isAdult: Boolean) {
+  Page(page: $page, perPage: $perPage) {
+    pageInfo {
+      total
+      currentPage
+      lastPage
+      perPage
+      hasNextPage
+    }
+    media(search: $search, type: ANIME, sort: $sort, genre_in: $genres, season: $season,
+          seasonYear: $seasonYear, format: $format, status: $status,
+          countryOfOrigin: $countryOfOrigin, isAdult: $isAdult) {${animeMediaFields}    }
+  }
+}
+`;
+
+const formatDate = (dateObj) => {
+  if (!dateObj || !dateObj.year) return null;
+  return `${dateObj.year}-${dateObj.month?.toString().padStart(2, '0') || '01'}-${dateObj.day?.toString().padStart(2, '0') || '01'}`;
+};
+
+// Format an AniList Media - now using higher quality images
+const formatMedia = (media) => ({
+  id: media.id.toString(),
+  title: media.title.english || media.title.romaji,
+  titleRomaji: media.title.romaji,
+  titleNative: media.title.native,
+  synonyms: media.synonyms || [],
+  description: media.description?.replace(/<br>/g, '\n').replace(/<\/?[^>]+(>|$)/g, "") || "",
+  genres: media.genres || [],
+  // Use extraLarge image when available for higher quality
+  thumbnail: media.coverImage?.extraLarge || media.coverImage?.large || "",
+  banner: media.bannerImage || "",
+  rating: media.averageScore / 10 || 0,
+  popularity: media.popularity || 0,
+  episodeCount: media.episodes?.toString() || "Unknown",
+  duration: media.duration?.toString() || "Unknown",
+  format: media.format || "Unknown",
+  status: media.status || "Unknown",
+  startDate: formatDate(media.startDate),
+  endDate: formatDate(media.endDate),
+  season: media.season || "Unknown",
+  country: media.countryOfOrigin || "Unknown",
+  isAdult: media.isAdult || false,
+  studios: media.studios?.nodes?.map(studio => studio.name) || [],
+  relations: formatRelations(media.relations),
+  provider: PROVIDER_NAME,
+  dateAdded: new Date().toISOString()
+});
+
+// AniList ids are numeric; anything else can't be on AniList
+const isAniListId = (id) => /^\d+$/.test(String(id));
+
+// Metadata provider backed by the shared AniList client (lib/anilist.js).
+// Unknown ids resolve to null; throttling and outages reject with the
+// client's ANILIST_* errors so the provider chain can fall back.
+const createAniListProvider = ({ client }) => ({
+  name: PROVIDER_NAME,
+
+  async getById(id) {
+    if (!isAniListId(id)) return null;
+
+    try {
+      const body = await client.request(getAnimeQuery, { id: parseInt(id) });
+      return formatMedia(body.data.Media);
+    } catch (error) {
+      if (error.response && error.response.status === 404) return null;
+      throw error;
+    }
+  },
+
+  async getMany(ids) {
+    const mediaById = await client.fetchMediaByIds(ids.filter(isAniListId), { query: getAnimeBatchQuery });
+
+    const details = new Map();
+    mediaById.forEach((media, id) => details.set(id, formatMedia(media)));
+    return details;
+  },
+
+  // `variables` come from parseSearchParams
+  async search(variables) {
+    const body = await client.request(searchAnimeQuery, variables);
+    return {
+      results: body.data.Page.media.map(media => toSearchResult(formatMedia(media))),
+      pageInfo: body.data.Page.pageInfo
+    };
+  }
+});
+
+module.exports = {
+  PROVIDER_NAME,
+  createAniListProvider,
+  formatMedia,
+  getAnimeBatchQuery,
+  getAnimeQuery,
+  searchAnimeQuery
+};
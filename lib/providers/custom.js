@@ -0,0 +1,32 @@
+const { CUSTOM_PROVIDER, isCustomAnime } = require('../custom-anime');
+const { normalizeAnime } = require('./normalize');
+
+// Metadata provider for custom anime (lib/custom-anime.js): their metadata is
+// the library record itself. It has no search, since everything it knows is
+// already in the library.
+//   getRecord(id)  the stored anime record, or null
+const createCustomProvider = ({ getRecord }) => {
+  const lookup = (id) => {
+    const record = getRecord(String(id));
+    return isCustomAnime(record) ? normalizeAnime(record, CUSTOM_PROVIDER) : null;
+  };
+
+  return {
+    name: CUSTOM_PROVIDER,
+
+    async getById(id) {
+      return lookup(id);
+    },
+
+    async getMany(ids) {
+      const details = new Map();
+      ids.forEach(id => {
+        const anime = lookup(id);
+        if (anime) details.set(String(id), anime);
+      });
+      return details;
+    }
+  };
+};
+
+module.exports = { createCustomProvider };
@@ -0,0 +1,91 @@
+const { createAniListProvider } = require('./anilist');
+const { createCustomProvider } = require('./custom');
+const { createLocalProvider } = require('./local');
+const { ANIME_FIELDS, normalizeAnime } = require('./normalize');
+
+// A metadata provider has
+//   name            recorded on every anime it returns (anime.provider)
+//   getById(id)     anime in the shape of normalize.js, or null if unknown
+//   getMany(ids)    Map of id -> anime for the ids it knows
+//   search(vars)    { results, pageInfo } for parseSearchParams variables
+//                   (optional)
+// and rejects when it can't answer at all (e.g. AniList is down).
+
+// Parse "anilist,local" into provider names, keeping only known ones
+const parseProviderOrder = (value, available) => {
+  const names = String(value || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+  const unknown = names.filter(name => !available.includes(name));
+  if (unknown.length > 0) {
+    console.warn(`Ignoring unknown metadata providers: ${unknown.join(', ')}`);
+  }
+  return [...new Set(names.filter(name => available.includes(name)))];
+};
+
+// Try providers in order. Lookups move on to the next provider when one
+// doesn't know an id or fails. When no provider answered and one of them
+// failed, that error is thrown, so callers can tell "unknown" from "AniList
+// is unavailable".
+const createProviderChain = (providers) => {
+  const tryEach = async (candidates, attempt, isAnswer) => {
+    let firstResult;
+    let lastError = null;
+
+    for (const provider of candidates) {
+      try {
+        const result = await attempt(provider);
+        if (isAnswer(result)) return result;
+        if (firstResult === undefined) firstResult = result;
+      } catch (error) {
+        console.warn(`Metadata provider ${provider.name} failed: ${error.message}`);
+        lastError = error;
+      }
+    }
+
+    // A provider that failed might have known the answer
+    if (lastError) throw lastError;
+    if (firstResult === undefined) throw new Error('No metadata providers configured');
+    return firstResult;
+  };
+
+  return {
+    names: providers.map(provider => provider.name),
+
+    // First provider that knows the id; null if none do
+    getById(id) {
+      return tryEach(providers, provider => provider.getById(id), Boolean);
+    },
+
+    // Each provider is asked for the ids the ones before it didn't return
+    async getMany(ids) {
+      const found = new Map();
+
+      for (const provider of providers) {
+        const remaining = ids.filter(id => !found.has(id));
+        if (remaining.length === 0) break;
+
+        try {
+          (await provider.getMany(remaining)).forEach((anime, id) => found.set(id, anime));
+        } catch (error) {
+          console.warn(`Metadata provider ${provider.name} failed for ${remaining.length} anime: ${error.message}`);
+        }
+      }
+      return found;
+    },
+
+    // First provider with results; an empty page if nobody has any.
+    // Providers without search (custom anime) are skipped.
+    search(variables) {
+      return tryEach(providers.filter(provider => provider.search), provider => provider.search(variables), result => result.results.length > 0);
+    }
+  };
+};
+
+module.exports = {
+  ANIME_FIELDS,
+  createAniListProvider,
+  createCustomProvider,
+  createLocalProvider,
+  createProviderChain,
+  normalizeAnime,
+  parseProviderOrder
+};
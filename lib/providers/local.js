@@ -0,0 +1,127 @@
+const fs = require('fs');
+const { readData } = require('../storage/files');
+const { normalizeAnime, toSearchResult } = require('./normalize');
+
+const PROVIDER_NAME = 'local';
+
+// Which AniList season a month falls in
+const seasonOf = (date) => {
+  const month = parseInt(String(date).slice(5, 7));
+  if (isNaN(month)) return null;
+  if (month <= 3) return 'WINTER';
+  if (month <= 6) return 'SPRING';
+  if (month <= 9) return 'SUMMER';
+  return 'FALL';
+};
+
+// Does an anime pass the search variables built by parseSearchParams?
+const matchesSearch = (anime, variables) => {
+  if (variables.search) {
+    const term = variables.search.toLowerCase();
+    const titles = [anime.title, anime.titleRomaji, anime.titleNative].filter(Boolean).map(title => title.toLowerCase());
+    if (!titles.some(title => title.includes(term))) return false;
+  }
+
+  if (variables.genres && !variables.genres.every(genre => anime.genres.some(own => own.toLowerCase() === genre.toLowerCase()))) {
+    return false;
+  }
+
+  const season = anime.season !== 'Unknown' ? anime.season : seasonOf(anime.startDate);
+  if (variables.season && season !== variables.season) return false;
+  if (variables.seasonYear && parseInt(String(anime.startDate).slice(0, 4)) !== variables.seasonYear) return false;
+  if (variables.format && anime.format !== variables.format) return false;
+  if (variables.status && anime.status !== variables.status) return false;
+  if (variables.countryOfOrigin && anime.country !== variables.countryOfOrigin) return false;
+  if (variables.isAdult !== undefined && anime.isAdult !== variables.isAdult) return false;
+  return true;
+};
+
+// Metadata provider backed by a JSON catalog file: an array of anime (or
+// { anime: [...] }) in the provider shape. Only id and title are required;
+// missing fields get the defaults from normalize.js. Works offline, and the
+// file is re-read when it changes, so it can be edited while the server runs.
+const createLocalProvider = ({ filePath }) => {
+  let catalog = new Map();
+  let loadedMtime = null;
+
+  const load = () => {
+    let mtime = null;
+    try {
+      mtime = fs.statSync(filePath).mtimeMs;
+    } catch (error) {
+      catalog = new Map(); // No catalog yet
+      loadedMtime = null;
+      return catalog;
+    }
+    if (mtime === loadedMtime) return catalog;
+
+    const saved = readData(filePath);
+    const records = Array.isArray(saved) ? saved : (saved && Array.isArray(saved.anime) ? saved.anime : []);
+
+    catalog = new Map();
+    records.forEach((record, index) => {
+      if (!record || record.id === undefined || record.id === null || !record.title) {
+        console.warn(`Skipping local catalog entry ${index}: id and title are required`);
+        return;
+      }
+      const anime = normalizeAnime(record, PROVIDER_NAME);
+      catalog.set(anime.id, anime);
+    });
+
+    loadedMtime = mtime;
+    console.log(`Loaded ${catalog.size} anime from the local catalog`);
+    return catalog;
+  };
+
+  return {
+    name: PROVIDER_NAME,
+
+    get size() {
+      return load().size;
+    },
+
+    async getById(id) {
+      const anime = load().get(String(id));
+      return anime ? { ...anime } : null;
+    },
+
+    async getMany(ids) {
+      const entries = load();
+      const details = new Map();
+      ids.forEach(id => {
+        if (entries.has(String(id))) details.set(String(id), { ...entries.get(String(id)) });
+      });
+      return details;
+    },
+
+    // Same variables and result shape as the AniList search
+    async search(variables) {
+      const perPage = variables.perPage || 10;
+      const page = variables.page || 1;
+
+      const matches = [...load().values()].filter(anime => matchesSearch(anime, variables));
+      if (variables.search) {
+        // Titles starting with the term first, then the rest alphabetically
+        const term = variables.search.toLowerCase();
+        const rank = (anime) => (anime.title.toLowerCase().startsWith(term) ? 0 : 1);
+        matches.sort((a, b) => rank(a) - rank(b) || a.title.localeCompare(b.title));
+      } else {
+        matches.sort((a, b) => b.popularity - a.popularity);
+      }
+
+      const lastPage = Math.max(1, Math.ceil(matches.length / perPage));
+      return {
+        results: matches.slice((page - 1) * perPage, page * perPage).map(toSearchResult),
+        pageInfo: {
+          total: matches.length,
+          currentPage: page,
+          lastPage,
+          perPage,
+          hasNextPage: page < lastPage
+        }
+      };
+    }
+  };
+};
+
+module.exports = { PROVIDER_NAME, createLocalProvider };
@@ -0,0 +1,50 @@
+// The anime shape every metadata provider returns (originally the output of
+// formatAnimeData). Values are the defaults used when a source leaves a field
+// out; counts and durations are strings because AniList data uses "Unknown".
+const ANIME_FIELDS = {
+  title: '',
+  titleRomaji: null,
+  titleNative: null,
+  synonyms: [],
+  description: '',
+  genres: [],
+  thumbnail: '',
+  banner: '',
+  rating: 0,
+  popularity: 0,
+  episodeCount: 'Unknown',
+  duration: 'Unknown',
+  format: 'Unknown',
+  status: 'Unknown',
+  startDate: null,
+  endDate: null,
+  season: 'Unknown',
+  country: 'Unknown',
+  isAdult: false,
+  studios: [],
+  relations: []
+};
+
+// Fill in a partial record (e.g. from a hand-written catalog) so it has every
+// field of the provider shape. `provider` records where it came from.
+const normalizeAnime = (record, provider) => {
+  const anime = { id: String(record.id) };
+
+  Object.entries(ANIME_FIELDS).forEach(([field, fallback]) => {
+    const value = record[field];
+    anime[field] = value === undefined || value === null ? (Array.isArray(fallback) ? [] : fallback) : value;
+  });
+
+  ['episodeCount', 'duration'].forEach(field => {
+    if (typeof anime[field] === 'number') anime[field] = anime[field].toString();
+  });
+
+  anime.provider = provider;
+  anime.dateAdded = record.dateAdded || new Date().toISOString();
+  return anime;
+};
+
+// Search results carry everything except library bookkeeping
+const toSearchResult = ({ dateAdded, relations, ...result }) => result;
+
+module.exports = { ANIME_FIELDS, normalizeAnime, toSearchResult };
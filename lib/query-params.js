@@ -0,0 +1,24 @@
+// Reading validated values out of a request's query string. Problems are
+// pushed onto the caller's `errors` list so a parser can report every bad
+// parameter at once.
+const parseInteger = (value) => (/^\d+$/.test(String(value).trim()) ? parseInt(value) : NaN);
+
+const createParamReader = (params, errors) => {
+  // Empty parameters ("?page=") count as not given
+  const given = (name) => params[name] !== undefined && params[name] !== '';
+
+  // A whole number from min to max, or `fallback` when missing or invalid
+  const intParam = (name, { min, max, fallback }) => {
+    if (!given(name)) return fallback;
+    const value = parseInteger(params[name]);
+    if (isNaN(value) || value < min || value > max) {
+      errors.push({ path: name, message: `must be a whole number from ${min} to ${max}` });
+      return fallback;
+    }
+    return value;
+  };
+
+  return { given, intParam };
+};
+
+module.exports = { createParamReader, parseInteger };
@@ -0,0 +1,108 @@
+const { COLLECTIONS } = require('./storage/files');
+const { diffCollection } = require('./backups');
+
+// Compare a browser backup with the server data and say which side is newer:
+//   in-sync        same records on both sides
+//   server-newer   the browser copy is just behind; keep the server data
+//   browser-newer  the server lost changes the browser still has (e.g. it came
+//                  back with stale disk data from an older deploy)
+//   diverged       both sides changed, the backup is from another generation,
+//                  or the difference can't be explained
+//
+// Each differing record is attributed using the revisions both sides carry:
+// the server changed it when its copy is stamped after the backup's revision,
+// the browser has a change the server lost when its copy is stamped after the
+// server's current revision. Revisions only compare within one generation.
+const planReconciliation = ({ server, browser }) => {
+  const sameGeneration = Boolean(browser.generation) && browser.generation === server.generation;
+  const browserRev = Number(browser.revision) || 0;
+  const serverIsEmpty = COLLECTIONS.every(collection => server.data[collection].length === 0);
+
+  const collections = {};
+  const totals = { server: 0, browser: 0, conflict: 0 };
+
+  // Which side a difference comes from: 'server', 'browser' or 'conflict'
+  const attribute = (serverMoved, browserMoved) => {
+    if (!sameGeneration || serverMoved === browserMoved) return 'conflict';
+    return serverMoved ? 'server' : 'browser';
+  };
+
+  COLLECTIONS.forEach(collection => {
+    // Relative to the server: "added" records exist only in the browser copy
+    const diff = diffCollection(server.data[collection], browser.data[collection]);
+    const serverById = new Map(server.data[collection].map(record => [record.id, record]));
+    const browserById = new Map(browser.data[collection].map(record => [record.id, record]));
+    const records = [];
+
+    diff.added.forEach(record => {
+      const tombstoneRev = server.deletedRevision(collection, record.id);
+      records.push({
+        id: record.id,
+        change: 'only-in-browser',
+        newer: attribute(tombstoneRev > browserRev, (record.rev || 0) > server.revision),
+        browser: record
+      });
+    });
+
+    diff.removed.forEach(record => {
+      // The browser only drops records the server deleted, so a record it saw
+      // and no longer has means the server lost that deletion
+      records.push({
+        id: record.id,
+        change: 'only-on-server',
+        newer: attribute((record.rev || 0) > browserRev, (record.rev || 0) <= browserRev),
+        server: record
+      });
+    });
+
+    diff.changed.forEach(entry => {
+      const serverRecord = serverById.get(entry.id);
+      const browserRecord = browserById.get(entry.id);
+      records.push({
+        id: entry.id,
+        change: 'changed',
+        newer: attribute((serverRecord.rev || 0) > browserRev, (browserRecord.rev || 0) > server.revision),
+        fields: entry.fields,
+        server: entry.snapshot,
+        browser: entry.live
+      });
+    });
+
+    records.forEach(record => { totals[record.newer]++; });
+    collections[collection] = {
+      records,
+      counts: {
+        onlyInBrowser: diff.added.length,
+        onlyOnServer: diff.removed.length,
+        changed: diff.changed.length,
+        unchanged: diff.unchanged
+      }
+    };
+  });
+
+  let status;
+  if (totals.server + totals.browser + totals.conflict === 0) {
+    status = 'in-sync';
+  } else if (serverIsEmpty) {
+    status = 'browser-newer';
+  } else if (totals.conflict > 0 || (totals.server > 0 && totals.browser > 0)) {
+    status = 'diverged';
+  } else {
+    status = totals.browser > 0 ? 'browser-newer' : 'server-newer';
+  }
+
+  return {
+    status,
+    sameGeneration,
+    server: { generation: server.generation, revision: server.revision, lastModified: server.lastModified },
+    browser: {
+      generation: browser.generation || null,
+      revision: browserRev,
+      lastModified: browser.lastModified || browser.exportDate || null
+    },
+    totals,
+    collections
+  };
+};
+
+module.exports = { planReconciliation };
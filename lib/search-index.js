@@ -0,0 +1,165 @@
+// Small in-memory full-text index with typo-tolerant matching. Documents are
+// { field: string | string[] }; every query word has to match a word in some
+// field (exactly, as a prefix, or within a couple of typos), and documents are
+// ranked by how well and where they matched. Meant for the library (hundreds
+// to a few thousand documents), so it scans documents instead of keeping
+// posting lists.
+
+// Split into words with their position in the original text, so matches can
+// be highlighted. Accents are dropped for matching: "Pokémon" ~ "pokemon".
+const fold = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+const tokenize = (text) => {
+  const tokens = [];
+  const pattern = /[\p{L}\p{N}]+/gu;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    tokens.push({ word: fold(match[0]), start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+};
+
+// Edit distance where swapping two neighbouring letters counts as one typo
+// ("pandya" ~ "panday"); gives up once it exceeds `max`
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Typos allowed for a query word: none for short words, more for long ones
+const allowedTypos = (word) => (word.length >= 8 ? 2 : word.length >= 4 ? 1 : 0);
+
+// How well a query word matches a document word, from 0 (no match) to 1
+const matchQuality = (queryWord, word) => {
+  if (word === queryWord) return 1;
+  if (queryWord.length >= 2 && word.startsWith(queryWord)) return 0.8;
+
+  const typos = allowedTypos(queryWord);
+  if (typos === 0) return 0;
+  const distance = editDistance(queryWord, word, typos);
+  return distance <= typos ? 0.6 - distance * 0.1 : 0;
+};
+
+// `weights` maps field names to how much a match there counts; fields not
+// listed aren't searched
+const createSearchIndex = ({ weights }) => {
+  const documents = new Map(); // id -> [{ field, value, tokens }]
+
+  const search = (query) => {
+    const queryTokens = tokenize(query);
+    if (queryTokens.length === 0) return [];
+    const phrase = fold(query.trim());
+
+    const results = [];
+    documents.forEach((values, id) => {
+      let wordScore = 0;
+      const wordRanges = new Map(); // value entry -> ranges of matched words
+
+      // Every query word must match somewhere; it counts where it matches best
+      const allMatched = queryTokens.every(({ word: queryWord }) => {
+        let best = null;
+        values.forEach(entry => {
+          entry.tokens.forEach(token => {
+            const quality = matchQuality(queryWord, token.word) * weights[entry.field];
+            if (quality > 0 && (!best || quality > best.quality)) best = { quality, entry, token };
+          });
+        });
+        if (!best) return false;
+
+        wordScore += best.quality;
+        if (!wordRanges.has(best.entry)) wordRanges.set(best.entry, []);
+        wordRanges.get(best.entry).push([best.token.start, best.token.end]);
+        return true;
+      });
+
+      // The whole query as a phrase; scripts without spaces (native titles)
+      // can only match this way
+      let phraseScore = 0;
+      const phraseRanges = new Map();
+      values.forEach(entry => {
+        if (phrase.length < 2) return;
+        const folded = fold(entry.value);
+        const at = folded.indexOf(phrase);
+        if (at === -1) return;
+        phraseScore += weights[entry.field] * (folded === phrase ? 2 : 1);
+        phraseRanges.set(entry, [[at, at + phrase.length]]);
+      });
+
+      if (!allMatched && phraseScore === 0) return;
+      const score = (allMatched ? wordScore : 0) + phraseScore;
+      const matchedRanges = allMatched ? wordRanges : phraseRanges;
+
+      // Highlight the most important field that matched
+      const [entry, ranges] = [...matchedRanges.entries()]
+        .sort((a, b) => weights[b[0].field] - weights[a[0].field])[0];
+
+      results.push({
+        id,
+        score: Math.round(score * 100) / 100,
+        match: {
+          field: entry.field,
+          value: entry.value,
+          ranges: ranges.sort((a, b) => a[0] - b[0])
+        }
+      });
+    });
+
+    return results.sort((a, b) => b.score - a.score);
+  };
+
+  return {
+    get size() {
+      return documents.size;
+    },
+
+    has(id) {
+      return documents.has(id);
+    },
+
+    // Add or replace a document
+    upsert(id, document) {
+      const values = [];
+      Object.entries(document).forEach(([field, value]) => {
+        if (!weights[field]) return;
+        (Array.isArray(value) ? value : [value])
+          .filter(item => typeof item === 'string' && item.trim() !== '')
+          .forEach(item => values.push({ field, value: item, tokens: tokenize(item) }));
+      });
+      documents.set(id, values);
+    },
+
+    remove(id) {
+      return documents.delete(id);
+    },
+
+    clear() {
+      documents.clear();
+    },
+
+    // [{ id, score, match: { field, value, ranges: [[start, end], ...] } }], best first
+    search
+  };
+};
+
+module.exports = { createSearchIndex, editDistance, tokenize };
@@ -0,0 +1,84 @@
+const fs = require('fs');
+const path = require('path');
+
+// File names used for each collection inside DATA_DIR (and inside backup folders)
+const COLLECTION_FILES = {
+  anime: 'custom_anime.json',
+  episodes: 'episodes.json',
+  scheduled: 'scheduled_anime.json'
+};
+
+const COLLECTIONS = Object.keys(COLLECTION_FILES);
+
+// Bookkeeping kept next to the data but never exported or backed up
+const INTERNAL_FILES = {
+  tombstones: 'tombstones.json',
+  dataset: 'dataset.json'
+};
+
+// Everything an adapter persists
+const STORED_COLLECTIONS = [...COLLECTIONS, ...Object.keys(INTERNAL_FILES)];
+
+const collectionPath = (dataDir, collection) => path.join(dataDir, COLLECTION_FILES[collection] || INTERNAL_FILES[collection]);
+
+// Initialize data files if they don't exist
+const initializeDataFile = (filePath, initialData) => {
+  if (!fs.existsSync(filePath)) {
+    fs.writeFileSync(filePath, JSON.stringify(initialData, null, 2));
+  }
+};
+
+// Helper functions to read and write data
+const readData = (filePath) => {
+  try {
+    const data = fs.readFileSync(filePath, 'utf8');
+    return JSON.parse(data);
+  } catch (error) {
+    console.error(`Error reading ${filePath}:`, error);
+    return [];
+  }
+};
+
+const writeData = (filePath, data) => {
+  try {
+    // Create a backup of the file before writing
+    if (fs.existsSync(filePath)) {
+      const backupPath = `${filePath}.backup`;
+      fs.copyFileSync(filePath, backupPath);
+    }
+    
+    // Write the data to a temporary file first
+    const tempPath = `${filePath}.temp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    
+    // Rename the temporary file to the actual file (atomic operation)
+    fs.renameSync(tempPath, filePath);
+    
+    return true;
+  } catch (error) {
+    console.error(`Error writing to ${filePath}:`, error);
+    
+    // Try to restore from backup if write failed
+    try {
+      const backupPath = `${filePath}.backup`;
+      if (fs.existsSync(backupPath)) {
+        fs.copyFileSync(backupPath, filePath);
+        console.log(`Restored ${filePath} from backup`);
+      }
+    } catch (backupError) {
+      console.error(`Failed to restore backup for ${filePath}:`, backupError);
+    }
+    
+    return false;
+  }
+};
+
+module.exports = {
+  COLLECTION_FILES,
+  COLLECTIONS,
+  STORED_COLLECTIONS,
+  collectionPath,
+  initializeDataFile,
+  readData,
+  writeData
+};
@@ -0,0 +1,95 @@
+const { createJsonAdapter } = require('./json-adapter');
+const { createSqliteAdapter } = require('./sqlite-adapter');
+const { withRevisions } = require('./revisions');
+const { COLLECTIONS } = require('./files');
+
+// Adapters provide the storage primitives (all calls are synchronous):
+//   load()                              read persisted data, run one-time migrations
+//   all(collection) / count(collection)
+//   get(collection, id)
+//   listByAnime(collection, animeId)    episodes / scheduled only
+//   listSince(collection, rev)          records stamped after a revision
+//   commit(ops)                         apply several operations atomically (see ops.js)
+//   flush(), close()
+// The JSON adapter journals every mutation to DATA_DIR/journal.log before
+// applying it; SQLite relies on its own transactions.
+const createAdapter = ({ driver, dataDir, sqliteFile, compactThreshold }) => {
+  switch ((driver || 'json').toLowerCase()) {
+    case 'json':
+      return createJsonAdapter({ dataDir, compactThreshold });
+    case 'sqlite':
+      return createSqliteAdapter({ dataDir, filename: sqliteFile });
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected "json" or "sqlite")`);
+  }
+};
+
+// The store used by the server: the adapter with revision tracking (see
+// revisions.js) and single-record helpers on top of commit(). Mutations return
+// true on success and false on failure, like writeData.
+// Collections are 'anime', 'episodes' and 'scheduled'.
+const createStorage = (options) => {
+  const adapter = createAdapter(options);
+  const revisions = withRevisions(adapter, {
+    collections: COLLECTIONS,
+    tombstoneRetentionDays: options.tombstoneRetentionDays
+  });
+  const listeners = [];
+  const commit = (ops, commitOptions) => {
+    const committed = revisions.commit(ops, commitOptions);
+    if (committed) {
+      listeners.forEach(listener => {
+        try {
+          listener(ops);
+        } catch (error) {
+          console.error('Error in storage commit listener:', error);
+        }
+      });
+    }
+    return committed;
+  };
+
+  return {
+    driver: adapter.driver,
+
+    load: () => revisions.load(),
+    all: (collection) => adapter.all(collection),
+    count: (collection) => adapter.count(collection),
+    get: (collection, id) => adapter.get(collection, id),
+    listByAnime: (collection, animeId) => adapter.listByAnime(collection, animeId),
+
+    commit,
+    insert: (collection, record) => commit([{ type: 'put', collection, record }]),
+    insertMany: (collection, records) => commit(records.map(record => ({ type: 'put', collection, record }))),
+    // Replace an existing record; false if there is none with that id
+    update: (collection, record) => (
+      adapter.get(collection, record.id) ? commit([{ type: 'put', collection, record }]) : false
+    ),
+    remove: (collection, id) => commit([{ type: 'delete', collection, id }]),
+    removeByAnime: (collection, animeId) => commit([{ type: 'deleteByAnime', collection, animeId }]),
+    replaceAll: (collection, records) => commit([{ type: 'replace', collection, records }]),
+    // Call listener(ops) after every successful commit, e.g. to keep an index current
+    onCommit: (listener) => {
+      listeners.push(listener);
+    },
+
+    // Latest revision, and everything that changed after an earlier one
+    get revision() {
+      return revisions.revision;
+    },
+    // Generation id, revision and last-modified stamp of the data
+    get dataset() {
+      return revisions.dataset;
+    },
+    changesSince: (since, generation) => revisions.changesSince(since, generation),
+    deletedRevision: (collection, id) => revisions.deletedRevision(collection, id),
+
+    flush: () => revisions.flush(),
+    close: () => {
+      revisions.flush();
+      adapter.close();
+    }
+  };
+};
+
+module.exports = { createStorage, COLLECTIONS };
@@ -0,0 +1,63 @@
+const fs = require('fs');
+
+// Append-only change journal. Every entry is one JSON line holding the list of
+// operations committed together, so a torn write at the end of the file drops
+// the whole entry and never half of a multi-collection change.
+const createJournal = (filePath) => {
+  let entryCount = 0;
+
+  return {
+    filePath,
+
+    // Write an entry and fsync it before the change is applied in memory
+    append(ops) {
+      const line = JSON.stringify({ ts: new Date().toISOString(), ops }) + '\n';
+      const fd = fs.openSync(filePath, 'a');
+      try {
+        fs.writeSync(fd, line);
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+      entryCount++;
+    },
+
+    // Read committed entries in order. Replay stops at the first line that
+    // can't be parsed (an interrupted append) so later entries are never
+    // applied without the ones before them.
+    readEntries() {
+      if (!fs.existsSync(filePath)) return [];
+
+      const entries = [];
+      const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+
+      for (let i = 0; i < lines.length; i++) {
+        if (!lines[i].trim()) continue;
+        try {
+          const entry = JSON.parse(lines[i]);
+          if (!Array.isArray(entry.ops)) throw new Error('entry has no ops');
+          entries.push(entry);
+        } catch (error) {
+          const remaining = lines.slice(i).filter(l => l.trim()).length;
+          console.error(`Journal ${filePath}: ignoring ${remaining} entr${remaining === 1 ? 'y' : 'ies'} from line ${i + 1} (${error.message})`);
+          break;
+        }
+      }
+
+      entryCount = entries.length;
+      return entries;
+    },
+
+    // Empty the journal once its entries are part of the snapshots
+    reset() {
+      fs.writeFileSync(filePath, '');
+      entryCount = 0;
+    },
+
+    get size() {
+      return entryCount;
+    }
+  };
+};
+
+module.exports = { createJournal };
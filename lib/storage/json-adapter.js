@@ -0,0 +1,140 @@
+const fs = require('fs');
+const path = require('path');
+const { STORED_COLLECTIONS, collectionPath, initializeDataFile, readData, writeData } = require('./files');
+const { createJournal } = require('./journal');
+const { validateOp } = require('./ops');
+
+// JSON file adapter - the original storage format. Collections are held in
+// memory and saved as whole-file JSON snapshots. Every mutation is first
+// appended to journal.log, which is replayed over the snapshots on startup and
+// folded back into them when the journal grows or the data is flushed.
+const createJsonAdapter = ({ dataDir, compactThreshold = 500 }) => {
+  const data = {};
+
+  // Create data directory if it doesn't exist
+  if (!fs.existsSync(dataDir)) {
+    fs.mkdirSync(dataDir, { recursive: true });
+  }
+
+  STORED_COLLECTIONS.forEach(collection => {
+    initializeDataFile(collectionPath(dataDir, collection), []);
+    data[collection] = [];
+  });
+
+  const journal = createJournal(path.join(dataDir, 'journal.log'));
+
+  // Apply one operation to the in-memory collections. Operations are
+  // idempotent so replaying a journal over a newer snapshot is harmless.
+  const applyOp = (op) => {
+    const records = data[op.collection];
+
+    switch (op.type) {
+      case 'put': {
+        const index = records.findIndex(r => r.id === op.record.id);
+        if (index === -1) {
+          records.push(op.record);
+        } else {
+          records[index] = op.record;
+        }
+        break;
+      }
+      case 'delete':
+        data[op.collection] = records.filter(r => r.id !== op.id);
+        break;
+      case 'deleteByAnime':
+        data[op.collection] = records.filter(r => r.animeId !== op.animeId);
+        break;
+      case 'replace':
+        data[op.collection] = op.records;
+        break;
+    }
+  };
+
+  // Write every collection snapshot, then drop the journal entries they contain
+  const compact = () => {
+    const written = STORED_COLLECTIONS.map(collection => writeData(collectionPath(dataDir, collection), data[collection])).every(Boolean);
+    if (!written) return false;
+
+    try {
+      journal.reset();
+      return true;
+    } catch (error) {
+      console.error('Failed to reset journal after compaction:', error);
+      return false;
+    }
+  };
+
+  // Journal a group of operations, then apply them all to memory
+  const commit = (ops) => {
+    try {
+      ops.forEach(validateOp);
+      journal.append(ops);
+    } catch (error) {
+      console.error('Failed to commit changes:', error);
+      return false;
+    }
+
+    ops.forEach(applyOp);
+
+    // Whole-collection replacements are large, so fold them in straight away
+    if (journal.size >= compactThreshold || ops.some(op => op.type === 'replace')) {
+      compact();
+    }
+
+    return true;
+  };
+
+  return {
+    driver: 'json',
+
+    // Load the snapshots and replay any journal entries written after them
+    load() {
+      STORED_COLLECTIONS.forEach(collection => {
+        const records = readData(collectionPath(dataDir, collection));
+        data[collection] = Array.isArray(records) ? records : [];
+      });
+
+      const entries = journal.readEntries();
+      if (entries.length > 0) {
+        entries.forEach(entry => entry.ops.forEach(applyOp));
+        console.log(`Replayed ${entries.length} journal entries`);
+        compact();
+      }
+    },
+
+    // Returned arrays are the live in-memory lists - treat them as read-only
+    all(collection) {
+      return data[collection];
+    },
+
+    count(collection) {
+      return data[collection].length;
+    },
+
+    get(collection, id) {
+      return data[collection].find(record => record.id === id) || null;
+    },
+
+    listByAnime(collection, animeId) {
+      return data[collection].filter(record => record.animeId === animeId);
+    },
+
+    // Records changed after a revision (see revisions.js)
+    listSince(collection, rev) {
+      return data[collection].filter(record => (record.rev || 0) > rev);
+    },
+
+    commit,
+
+    // Write every collection to disk
+    flush() {
+      return compact();
+    },
+
+    close() {
+      compact();
+    }
+  };
+};
+
+module.exports = { createJsonAdapter };
@@ -0,0 +1,28 @@
+const { STORED_COLLECTIONS } = require('./files');
+
+// Operations accepted by store.commit(ops). A commit is applied all at once:
+//   { type: 'put', collection, record }            insert or replace by record.id
+//   { type: 'delete', collection, id }
+//   { type: 'deleteByAnime', collection, animeId } episodes / scheduled only
+//   { type: 'replace', collection, records }       swap the whole collection
+const OP_TYPES = ['put', 'delete', 'deleteByAnime', 'replace'];
+
+const validateOp = (op) => {
+  if (!op || !OP_TYPES.includes(op.type)) {
+    throw new Error(`Unknown storage operation "${op && op.type}"`);
+  }
+  if (!STORED_COLLECTIONS.includes(op.collection)) {
+    throw new Error(`Unknown collection "${op.collection}"`);
+  }
+  if (op.type === 'put' && (!op.record || op.record.id == null)) {
+    throw new Error(`put on ${op.collection} needs a record with an id`);
+  }
+  if (op.type === 'deleteByAnime' && op.collection !== 'episodes' && op.collection !== 'scheduled') {
+    throw new Error('deleteByAnime only applies to episodes and scheduled');
+  }
+  if (op.type === 'replace' && !Array.isArray(op.records)) {
+    throw new Error(`replace on ${op.collection} needs a records array`);
+  }
+};
+
+module.exports = { OP_TYPES, validateOp };
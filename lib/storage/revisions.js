@@ -0,0 +1,213 @@
+// Server-side revisions for delta sync. Every record written through commit()
+// is stamped with `rev`, a counter that increases with each change, and every
+// deletion leaves a tombstone in the internal `tombstones` collection. Both are
+// part of the same commit as the change itself, so they survive a crash
+// together. Tombstones are kept for a retention period; the newest revision
+// that has been pruned is remembered as the "horizon", and clients that last
+// synced before it have to start over with a full copy.
+//
+// The internal `dataset` collection holds a single record describing the data
+// as a whole: a generation id, the latest revision and a last-modified stamp.
+// The generation changes when the data is swapped for a copy from elsewhere,
+// so revision numbers from one generation mean nothing in another.
+
+const crypto = require('crypto');
+
+const HORIZON_ID = '@horizon';
+const DATASET_ID = 'current';
+const INTERNAL_COLLECTIONS = ['tombstones', 'dataset'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const tombstoneId = (collection, id) => `${collection}:${id}`;
+
+const withRevisions = (adapter, { collections, tombstoneRetentionDays = 30 }) => {
+  let currentRev = 0;
+  let horizonRev = 0;
+  let dataset = null;
+
+  const highestRev = () => {
+    let max = 0;
+    [...collections, 'tombstones'].forEach(collection => {
+      adapter.all(collection).forEach(record => {
+        if (record.rev > max) max = record.rev;
+      });
+    });
+    return max;
+  };
+
+  // Drop tombstones past the retention period and move the horizon past them
+  const pruneTombstones = () => {
+    const cutoff = Date.now() - tombstoneRetentionDays * DAY_MS;
+    const expired = adapter.all('tombstones')
+      .filter(t => t.id !== HORIZON_ID && Date.parse(t.deletedAt) < cutoff);
+
+    if (expired.length === 0) return true;
+
+    const newHorizon = Math.max(horizonRev, ...expired.map(t => t.rev));
+    const ok = adapter.commit([
+      ...expired.map(t => ({ type: 'delete', collection: 'tombstones', id: t.id })),
+      { type: 'put', collection: 'tombstones', record: { id: HORIZON_ID, rev: newHorizon } }
+    ]);
+
+    if (ok) {
+      horizonRev = newHorizon;
+      console.log(`Pruned ${expired.length} tombstones (sync horizon is now revision ${horizonRev})`);
+    }
+    return ok;
+  };
+
+  const tombstoneOp = (collection, id, rev, deletedAt) => ({
+    type: 'put',
+    collection: 'tombstones',
+    record: { id: tombstoneId(collection, id), collection, recordId: id, rev, deletedAt }
+  });
+
+  // A record that comes back after being deleted no longer needs its tombstone
+  const clearTombstoneOps = (collection, id) => (
+    adapter.get('tombstones', tombstoneId(collection, id))
+      ? [{ type: 'delete', collection: 'tombstones', id: tombstoneId(collection, id) }]
+      : []
+  );
+
+  // Stamp revisions onto a group of operations and add the tombstone bookkeeping
+  const stamp = (ops) => {
+    const deletedAt = new Date().toISOString();
+    const stamped = [];
+
+    ops.forEach(op => {
+      if (INTERNAL_COLLECTIONS.includes(op.collection)) {
+        stamped.push(op);
+        return;
+      }
+
+      switch (op.type) {
+        case 'put':
+          stamped.push({ ...op, record: { ...op.record, rev: ++currentRev } });
+          stamped.push(...clearTombstoneOps(op.collection, op.record.id));
+          break;
+        case 'delete':
+          stamped.push(op);
+          if (adapter.get(op.collection, op.id)) {
+            stamped.push(tombstoneOp(op.collection, op.id, ++currentRev, deletedAt));
+          }
+          break;
+        case 'deleteByAnime':
+          stamped.push(op);
+          adapter.listByAnime(op.collection, op.animeId).forEach(record => {
+            stamped.push(tombstoneOp(op.collection, record.id, ++currentRev, deletedAt));
+          });
+          break;
+        case 'replace': {
+          const incomingIds = new Set(op.records.map(record => record.id));
+          stamped.push({ ...op, records: op.records.map(record => ({ ...record, rev: ++currentRev })) });
+          adapter.all(op.collection).forEach(record => {
+            if (!incomingIds.has(record.id)) {
+              stamped.push(tombstoneOp(op.collection, record.id, ++currentRev, deletedAt));
+            }
+          });
+          op.records.forEach(record => stamped.push(...clearTombstoneOps(op.collection, record.id)));
+          break;
+        }
+        default:
+          // Unknown operation types are rejected by the adapter
+          stamped.push(op);
+      }
+    });
+
+    return stamped;
+  };
+
+  return {
+    load() {
+      adapter.load();
+      dataset = adapter.get('dataset', DATASET_ID);
+      currentRev = Math.max(highestRev(), dataset ? dataset.revision : 0);
+      const horizon = adapter.get('tombstones', HORIZON_ID);
+      horizonRev = horizon ? horizon.rev : 0;
+
+      // Data written before generations existed starts one now
+      if (!dataset) {
+        this.commit([]);
+        console.log(`Started data generation ${dataset.generation}`);
+      }
+
+      pruneTombstones();
+    },
+
+    // Options, for when the data is replaced with a copy from elsewhere:
+    //   generation     switch to this generation id (a new one if true)
+    //   afterRevision  stamp the ops above this revision, so clients that
+    //                  already hold the copy only see newer revisions
+    commit(ops, { generation, afterRevision = 0 } = {}) {
+      currentRev = Math.max(currentRev, afterRevision);
+      const stamped = stamp(ops);
+
+      const nextDataset = {
+        id: DATASET_ID,
+        generation: typeof generation === 'string'
+          ? generation
+          : (generation || !dataset ? crypto.randomBytes(16).toString('hex') : dataset.generation),
+        revision: currentRev,
+        lastModified: new Date().toISOString()
+      };
+
+      const ok = adapter.commit([...stamped, { type: 'put', collection: 'dataset', record: nextDataset }]);
+      if (ok) dataset = nextDataset;
+      return ok;
+    },
+
+    // Revision at which a record was deleted, or 0 if there is no tombstone for it
+    deletedRevision(collection, id) {
+      const tombstone = adapter.get('tombstones', tombstoneId(collection, id));
+      return tombstone ? tombstone.rev : 0;
+    },
+
+    // { generation, revision, lastModified } of the current data
+    get dataset() {
+      return {
+        generation: dataset.generation,
+        revision: currentRev,
+        lastModified: dataset.lastModified
+      };
+    },
+
+    flush() {
+      pruneTombstones();
+      return adapter.flush();
+    },
+
+    get revision() {
+      return currentRev;
+    },
+
+    // Everything that changed after revision `since`. A full copy is returned
+    // (full: true) for a first sync, when the client is behind the tombstone
+    // horizon, or when it claims a revision this server never reached (the
+    // server was restored from older data). A client that names a different
+    // generation also gets a full copy.
+    changesSince(since, generation) {
+      const full = !(since > 0) || since < horizonRev || since > currentRev ||
+        (generation !== undefined && generation !== dataset.generation);
+      const changes = {};
+
+      collections.forEach(collection => {
+        changes[collection] = {
+          upserts: full ? adapter.all(collection) : adapter.listSince(collection, since),
+          deletes: []
+        };
+      });
+
+      if (!full) {
+        adapter.listSince('tombstones', since).forEach(tombstone => {
+          if (changes[tombstone.collection]) {
+            changes[tombstone.collection].deletes.push(tombstone.recordId);
+          }
+        });
+      }
+
+      return { since: full ? 0 : since, rev: currentRev, generation: dataset.generation, full, changes };
+    }
+  };
+};
+
+module.exports = { withRevisions };
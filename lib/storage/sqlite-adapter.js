@@ -0,0 +1,203 @@
+const fs = require('fs');
+const path = require('path');
+const { STORED_COLLECTIONS, collectionPath, readData } = require('./files');
+const { validateOp } = require('./ops');
+
+// Table layout: every record is stored as a JSON document, with the fields we
+// look up by pulled out into indexed columns. `seq` keeps insertion order so
+// listings come back in the same order as the JSON files.
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS anime (
+  seq INTEGER PRIMARY KEY AUTOINCREMENT,
+  id TEXT NOT NULL UNIQUE,
+  data TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS episodes (
+  seq INTEGER PRIMARY KEY AUTOINCREMENT,
+  id TEXT NOT NULL UNIQUE,
+  anime_id TEXT,
+  data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_episodes_anime_id ON episodes (anime_id);
+CREATE TABLE IF NOT EXISTS scheduled (
+  seq INTEGER PRIMARY KEY AUTOINCREMENT,
+  id TEXT NOT NULL UNIQUE,
+  anime_id TEXT,
+  data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_scheduled_anime_id ON scheduled (anime_id);
+CREATE TABLE IF NOT EXISTS tombstones (
+  seq INTEGER PRIMARY KEY AUTOINCREMENT,
+  id TEXT NOT NULL UNIQUE,
+  data TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS dataset (
+  seq INTEGER PRIMARY KEY AUTOINCREMENT,
+  id TEXT NOT NULL UNIQUE,
+  data TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS meta (
+  key TEXT PRIMARY KEY,
+  value TEXT
+);
+`;
+
+const HAS_ANIME_ID = { anime: false, episodes: true, scheduled: true, tombstones: false, dataset: false };
+
+// Embedded SQLite adapter. Mutations touch single rows instead of rewriting
+// whole collections, and lookups by id / animeId go through indexes.
+const createSqliteAdapter = ({ dataDir, filename }) => {
+  // Required lazily so the default JSON setup works without the native module
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (error) {
+    throw new Error('STORAGE_DRIVER=sqlite requires the "better-sqlite3" package (Node 20 or newer, running ' + process.version + '): ' + error.message);
+  }
+
+  if (!fs.existsSync(dataDir)) {
+    fs.mkdirSync(dataDir, { recursive: true });
+  }
+
+  const dbFile = filename || path.join(dataDir, 'anime.db');
+  const db = new Database(dbFile);
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+
+  // Prepare statements once per collection
+  const statements = {};
+  STORED_COLLECTIONS.forEach(collection => {
+    const withAnimeId = HAS_ANIME_ID[collection];
+    statements[collection] = {
+      all: db.prepare(`SELECT data FROM ${collection} ORDER BY seq`),
+      count: db.prepare(`SELECT COUNT(*) AS count FROM ${collection}`),
+      get: db.prepare(`SELECT data FROM ${collection} WHERE id = ?`),
+      byAnime: withAnimeId ? db.prepare(`SELECT data FROM ${collection} WHERE anime_id = ? ORDER BY seq`) : null,
+      since: db.prepare(`SELECT data FROM ${collection} WHERE IFNULL(json_extract(data, '$.rev'), 0) > ? ORDER BY seq`),
+      upsert: withAnimeId
+        ? db.prepare(`INSERT INTO ${collection} (id, anime_id, data) VALUES (@id, @animeId, @data)
+            ON CONFLICT(id) DO UPDATE SET anime_id = excluded.anime_id, data = excluded.data`)
+        : db.prepare(`INSERT INTO ${collection} (id, data) VALUES (@id, @data)
+            ON CONFLICT(id) DO UPDATE SET data = excluded.data`),
+      remove: db.prepare(`DELETE FROM ${collection} WHERE id = ?`),
+      removeByAnime: withAnimeId ? db.prepare(`DELETE FROM ${collection} WHERE anime_id = ?`) : null,
+      clear: db.prepare(`DELETE FROM ${collection}`)
+    };
+  });
+
+  const getMeta = db.prepare('SELECT value FROM meta WHERE key = ?');
+  const setMeta = db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value');
+
+  const toRow = (collection, record) => {
+    const row = { id: String(record.id), data: JSON.stringify(record) };
+    if (HAS_ANIME_ID[collection]) {
+      row.animeId = record.animeId != null ? String(record.animeId) : null;
+    }
+    return row;
+  };
+
+  const parseRows = (rows) => rows.map(row => JSON.parse(row.data));
+
+  // Run a write and report success the same way writeData does
+  const safeWrite = (label, fn) => {
+    try {
+      fn();
+      return true;
+    } catch (error) {
+      console.error(`SQLite ${label} failed:`, error);
+      return false;
+    }
+  };
+
+  const replaceCollection = (collection, records) => {
+    statements[collection].clear.run();
+    records.forEach(record => statements[collection].upsert.run(toRow(collection, record)));
+  };
+
+  // Apply a group of operations in a single transaction
+  const commitOps = db.transaction((ops) => {
+    ops.forEach(op => {
+      const collectionStatements = statements[op.collection];
+      switch (op.type) {
+        case 'put':
+          collectionStatements.upsert.run(toRow(op.collection, op.record));
+          break;
+        case 'delete':
+          collectionStatements.remove.run(String(op.id));
+          break;
+        case 'deleteByAnime':
+          collectionStatements.removeByAnime.run(String(op.animeId));
+          break;
+        case 'replace':
+          replaceCollection(op.collection, op.records);
+          break;
+      }
+    });
+  });
+
+  // One-shot migration: copy the existing JSON files into a fresh database
+  const migrateFromJson = db.transaction(() => {
+    const counts = {};
+    STORED_COLLECTIONS.forEach(collection => {
+      const filePath = collectionPath(dataDir, collection);
+      const records = fs.existsSync(filePath) ? readData(filePath) : [];
+      const valid = Array.isArray(records) ? records.filter(r => r && r.id != null) : [];
+      valid.forEach(record => statements[collection].upsert.run(toRow(collection, record)));
+      counts[collection] = valid.length;
+    });
+    setMeta.run('migratedFromJson', new Date().toISOString());
+    return counts;
+  });
+
+  return {
+    driver: 'sqlite',
+    filename: dbFile,
+
+    load() {
+      if (!getMeta.get('migratedFromJson')) {
+        const counts = migrateFromJson();
+        console.log(`Migrated JSON data into SQLite: ${counts.anime} anime, ${counts.episodes} episodes, ${counts.scheduled} scheduled`);
+      }
+    },
+
+    all(collection) {
+      return parseRows(statements[collection].all.all());
+    },
+
+    count(collection) {
+      return statements[collection].count.get().count;
+    },
+
+    get(collection, id) {
+      const row = statements[collection].get.get(String(id));
+      return row ? JSON.parse(row.data) : null;
+    },
+
+    listByAnime(collection, animeId) {
+      return parseRows(statements[collection].byAnime.all(String(animeId)));
+    },
+
+    // Records changed after a revision (see revisions.js)
+    listSince(collection, rev) {
+      return parseRows(statements[collection].since.all(rev));
+    },
+
+    commit(ops) {
+      return safeWrite('commit', () => {
+        ops.forEach(validateOp);
+        commitOps(ops);
+      });
+    },
+
+    // SQLite commits every statement, so a flush only checkpoints the WAL
+    flush() {
+      return safeWrite('checkpoint', () => db.pragma('wal_checkpoint(PASSIVE)'));
+    },
+
+    close() {
+      db.close();
+    }
+  };
+};
+
+module.exports = { createSqliteAdapter };
@@ -7,10 +7,11 @@ class AnimePersistenceManager {
         this.localStorageKey = 'anime_tracker_backup';
         this.lastBackupKey = 'anime_tracker_last_backup';
         this.backupIntervalMinutes = 15; // Auto-backup every 15 minutes
+        this.reconciliation = null; // Plan awaiting an admin decision (see sendBackupToServer)
         
-        // Initialize
-        this.initAutoBackup();
-        this.sendBackupToServer();
+        // Initialize. Compare with the server before backing up, so a newer
+        // local copy isn't overwritten by stale server data.
+        this.ready = this.sendBackupToServer().then(() => this.initAutoBackup());
     }
     
     // Initialize auto-backup system
@@ -31,18 +32,50 @@ class AnimePersistenceManager {
     }
     
     // Perform data backup to localStorage
+    // The backup is a replica of the server data kept in export format. After
+    // the first full copy only the changes since the stored revision are
+    // fetched and applied.
     async performBackup() {
+        // Keep the local copy as it is until the admin has settled the differences
+        if (this.reconciliation) {
+            console.log('Backup skipped: reconciliation with the server is pending');
+            return false;
+        }
+        
         try {
-            const response = await fetch(`${this.apiBaseUrl}/api/export`);
+            const replica = this.readLocalBackup();
+            const since = replica && replica.revision ? replica.revision : 0;
+            const generation = replica && replica.generation ? `&generation=${encodeURIComponent(replica.generation)}` : '';
+            
+            const response = await fetch(`${this.apiBaseUrl}/api/changes?since=${since}${generation}`);
             if (!response.ok) throw new Error('Failed to fetch data for backup');
             
-            const data = await response.json();
+            const delta = await response.json();
+            const data = delta.full ? this.emptyReplica() : replica;
+            
+            Object.keys(delta.changes).forEach(collection => {
+                const { upserts, deletes } = delta.changes[collection];
+                const records = new Map((data[collection] || []).map(record => [record.id, record]));
+                
+                deletes.forEach(id => records.delete(id));
+                upserts.forEach(record => records.set(record.id, record));
+                
+                data[collection] = Array.from(records.values());
+            });
+            
+            data.revision = delta.rev;
+            data.generation = delta.generation;
+            data.lastModified = delta.lastModified;
+            data.exportVersion = delta.exportVersion;
+            data.exportDate = new Date().toISOString();
             
             // Store in localStorage
             localStorage.setItem(this.localStorageKey, JSON.stringify(data));
             localStorage.setItem(this.lastBackupKey, Date.now().toString());
             
-            console.log('Anime data backed up to localStorage:', new Date().toLocaleString());
+            const changeCount = Object.values(delta.changes)
+                .reduce((total, change) => total + change.upserts.length + change.deletes.length, 0);
+            console.log(`Anime data backed up to localStorage (${delta.full ? 'full copy' : `${changeCount} changes`}):`, new Date().toLocaleString());
             return true;
         } catch (error) {
             console.error('Failed to backup anime data:', error);
@@ -50,52 +83,103 @@ class AnimePersistenceManager {
         }
     }
     
-    // Send backup from localStorage to server (when server is fresh)
+    // Parsed local backup, or null if there is none or it is unreadable
+    readLocalBackup() {
+        const backupData = localStorage.getItem(this.localStorageKey);
+        if (!backupData) return null;
+        
+        try {
+            return JSON.parse(backupData);
+        } catch (error) {
+            console.error('Error parsing local backup:', error);
+            return null;
+        }
+    }
+    
+    emptyReplica() {
+        return { anime: [], episodes: [], scheduled: [] };
+    }
+    
+    // Send backup from localStorage to server. An empty server restores it;
+    // otherwise the server answers with a reconciliation plan, and one that
+    // needs a decision is kept in this.reconciliation for the backup UI.
     async sendBackupToServer() {
         try {
-            // First check if server has data
+            const backup = this.readLocalBackup();
+            if (!backup) {
+                console.log('No local backup available to restore to server');
+                return false;
+            }
+            
+            // Skip the upload when the local copy is already in step with the server
             const healthResponse = await fetch(`${this.apiBaseUrl}/health`);
             if (!healthResponse.ok) throw new Error('Server health check failed');
             
-            const serverStatus = await healthResponse.json();
+            const { dataStats } = await healthResponse.json();
+            if (dataStats.generation === backup.generation && dataStats.revision === backup.revision) {
+                console.log('Local backup matches the server data');
+                return false;
+            }
             
-            // If server has no data, send our backup
-            if (serverStatus.dataStats.customAnimeCount === 0 && 
-                serverStatus.dataStats.episodesCount === 0 && 
-                serverStatus.dataStats.scheduledCount === 0) {
-                
-                const backupData = localStorage.getItem(this.localStorageKey);
-                if (!backupData) {
-                    console.log('No local backup available to restore to server');
-                    return false;
-                }
-                
-                const parsedBackup = JSON.parse(backupData);
-                
-                // Send backup to server
-                const restoreResponse = await fetch(`${this.apiBaseUrl}/api/browser-backup`, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify(parsedBackup)
-                });
-                
-                if (!restoreResponse.ok) throw new Error('Failed to restore backup to server');
-                
-                const result = await restoreResponse.json();
+            // Send backup to server
+            const restoreResponse = await fetch(`${this.apiBaseUrl}/api/browser-backup`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(backup)
+            });
+            
+            if (!restoreResponse.ok) throw new Error('Failed to restore backup to server');
+            
+            const result = await restoreResponse.json();
+            
+            if (result.applied) {
                 console.log('Backup restored to server:', result);
                 return true;
+            }
+            
+            const { status } = result.plan;
+            if (status === 'browser-newer' || status === 'diverged') {
+                this.reconciliation = { plan: result.plan, backup };
+                console.warn(`Local backup differs from the server data (${status}); review it in the backup panel`);
+                if (this.backupContainerId) this.createBackupUI(this.backupContainerId);
             } else {
-                console.log('Server already has data, no need to restore from browser backup');
-                return false;
+                console.log(`Server data is current (${status}), browser backup not applied`);
             }
+            return false;
         } catch (error) {
             console.error('Failed to restore backup to server:', error);
             return false;
         }
     }
     
+    // Settle a pending reconciliation. 'browser' replaces the server data with
+    // the local copy; 'server' discards the local copy and fetches a fresh one.
+    async resolveReconciliation(choice) {
+        if (!this.reconciliation) return false;
+        
+        const { plan, backup } = this.reconciliation;
+        
+        if (choice === 'browser') {
+            const response = await fetch(`${this.apiBaseUrl}/api/browser-backup/apply`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ backup, expectedRevision: plan.server.revision })
+            });
+            
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error || 'Failed to apply browser backup');
+        } else {
+            localStorage.removeItem(this.localStorageKey);
+        }
+        
+        this.reconciliation = null;
+        return this.performBackup();
+    }
+    
     // Manual backup download as JSON file
     downloadBackup() {
         fetch(`${this.apiBaseUrl}/api/export`)
@@ -141,7 +225,10 @@ class AnimePersistenceManager {
                     
                     const result = await response.json();
                     
-                    // Also update local storage backup
+                    // Also update local storage backup. The file's revision
+                    // belongs to whichever server exported it, so drop it and
+                    // let the next backup fetch a full copy.
+                    delete data.revision;
                     localStorage.setItem(this.localStorageKey, JSON.stringify(data));
                     localStorage.setItem(this.lastBackupKey, Date.now().toString());
                     
@@ -191,6 +278,7 @@ class AnimePersistenceManager {
         const container = document.getElementById(containerId);
         if (!container) return;
         
+        this.backupContainerId = containerId;
         const backupInfo = this.getBackupInfo();
         
         container.innerHTML = `
@@ -206,6 +294,7 @@ class AnimePersistenceManager {
                     <button id="restore-backup-btn" class="backup-btn">Restore from File</button>
                 </div>
                 <input type="file" id="backup-file-input" accept=".json" style="display: none;">
+                ${this.reconciliation ? this.renderReconciliation(this.reconciliation.plan) : ''}
             </div>
         `;
         
@@ -239,6 +328,67 @@ class AnimePersistenceManager {
                     alert('Error restoring backup: ' + error.message);
                 });
         });
+        
+        if (this.reconciliation) {
+            const resolve = (choice, confirmMessage) => {
+                if (!confirm(confirmMessage)) return;
+                
+                this.resolveReconciliation(choice)
+                    .then(() => {
+                        alert('Backup reconciled!');
+                        window.location.reload(); // Reload page to show the chosen data
+                    })
+                    .catch(error => {
+                        alert('Error reconciling backup: ' + error.message);
+                    });
+            };
+            
+            document.getElementById('use-browser-backup-btn').addEventListener('click', () => {
+                resolve('browser', 'Replace the server data with this browser backup? The server takes a snapshot first.');
+            });
+            
+            document.getElementById('keep-server-data-btn').addEventListener('click', () => {
+                resolve('server', 'Discard this browser backup and keep the server data?');
+            });
+        }
+    }
+    
+    // Summary of a reconciliation plan with the records that differ
+    renderReconciliation(plan) {
+        const escape = (value) => String(value).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+        const describe = (side) => `revision ${side.revision}${side.lastModified ? `, modified ${new Date(side.lastModified).toLocaleString()}` : ''}`;
+        const maxRows = 50;
+        
+        const rows = [];
+        Object.entries(plan.collections).forEach(([collection, { records }]) => {
+            records.forEach(record => {
+                rows.push(`
+                    <tr>
+                        <td>${collection}</td>
+                        <td>${escape(record.id)}</td>
+                        <td>${record.change}${record.fields ? ` (${record.fields.map(escape).join(', ')})` : ''}</td>
+                        <td>${record.newer}</td>
+                    </tr>
+                `);
+            });
+        });
+        
+        return `
+            <div class="reconciliation-panel" style="border-top: 1px solid #ccc; margin-top: 15px; padding-top: 10px;">
+                <h4>Backup differs from the server (${plan.status})</h4>
+                <p>Server: ${describe(plan.server)}<br>Browser: ${describe(plan.browser)}</p>
+                ${plan.sameGeneration ? '' : '<p>The backup comes from a different copy of the data, so every difference is treated as a conflict.</p>'}
+                <table style="width: 100%; font-size: 0.9em;">
+                    <thead><tr><th>Collection</th><th>Id</th><th>Change</th><th>Newer</th></tr></thead>
+                    <tbody>${rows.slice(0, maxRows).join('')}</tbody>
+                </table>
+                ${rows.length > maxRows ? `<p>...and ${rows.length - maxRows} more</p>` : ''}
+                <div style="display: flex; gap: 10px; margin-top: 10px;">
+                    <button id="use-browser-backup-btn" class="backup-btn">Use Browser Backup</button>
+                    <button id="keep-server-data-btn" class="backup-btn">Keep Server Data</button>
+                </div>
+            </div>
+        `;
     }
     
     // Keep the Render server alive
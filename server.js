@@ -1,9 +1,32 @@
 const express = require('express');
-const fs = require('fs');
 const path = require('path');
 const cors = require('cors');
 const axios = require('axios');
 const bodyParser = require('body-parser');
+const { createStorage } = require('./lib/storage');
+const { COLLECTIONS } = require('./lib/storage/files');
+const { createBackupManager, diffCollection } = require('./lib/backups');
+const { MERGE_RULES, planMerge } = require('./lib/merge');
+const { CURRENT_EXPORT_VERSION, prepareImport } = require('./lib/export-schema');
+const { planReconciliation } = require('./lib/reconcile');
+const { createMetadataCache } = require('./lib/metadata-cache');
+const { createLibrarySearch } = require('./lib/library-search');
+const { matchesFilters, parseLibraryQuery, parseLibrarySearchParams, queryLibrary } = require('./lib/library-query');
+const { computeFacets } = require('./lib/library-facets');
+const { groupLatestEpisodes, parseLatestQuery, toFeedItem } = require('./lib/latest-episodes');
+const { SOURCE_LANGUAGES, episodeSources, hasTagalogSource, parseSource, parseSources, placeSource, setPrimaryUrl, withSources } = require('./lib/episode-sources');
+const { createAniListClient, isAniListUnavailable } = require('./lib/anilist');
+const { parseSearchParams } = require('./lib/anilist-search');
+const { createChangeLog, createMetadataRefresher, diffMetadata, summarizeChanges } = require('./lib/metadata-refresh');
+const { buildFranchise } = require('./lib/franchise');
+const { applyOverrides, parseOverrides } = require('./lib/overrides');
+const { createAniListProvider, createCustomProvider, createLocalProvider, createProviderChain, normalizeAnime, parseProviderOrder } = require('./lib/providers');
+const { CUSTOM_PROVIDER, generateCustomId, isCustomAnime, parseCustomAnime } = require('./lib/custom-anime');
+const { PROVIDER_NAME: ANILIST_PROVIDER, getAnimeBatchQuery } = require('./lib/providers/anilist');
+const { DEFAULT_EPISODE_LIMIT, SCHEDULE_TIME_ZONE, planScheduleSync } = require('./lib/airing-schedule');
+const { buildReport, createLinkChecker } = require('./lib/link-health');
+const { DEFAULT_SEASON, DEFAULT_TYPE, episodeKey, episodeLabel, groupBySeason, nextEpisodeNumber, parseNumbering, planRenumber, relabel, seasonOf, sortEpisodes } = require('./lib/episode-numbering');
+const { creditsForActor, emptyCredits, formatCharacters, listVoiceActors, mergeCharacters, parseCredits, parseVoiceActors } = require('./lib/credits');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -14,265 +37,422 @@ app.use(cors());
 app.use(bodyParser.json({ limit: '50mb' })); // Increased limit for larger data transfers
 app.use(express.static('public'));
 
-// Data file paths - use environment variable for data directory in production
+// Data directory - use environment variable for data directory in production
 const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
-const EPISODES_FILE = path.join(DATA_DIR, 'episodes.json');
-const CUSTOM_ANIME_FILE = path.join(DATA_DIR, 'custom_anime.json');
-const SCHEDULED_ANIME_FILE = path.join(DATA_DIR, 'scheduled_anime.json'); // New file for scheduled anime
 
-// Create data directory if it doesn't exist
-if (!fs.existsSync(DATA_DIR)) {
-    fs.mkdirSync(DATA_DIR, { recursive: true });
-}
-
-// Initialize data files if they don't exist
-const initializeDataFile = (filePath, initialData) => {
-    if (!fs.existsSync(filePath)) {
-        fs.writeFileSync(filePath, JSON.stringify(initialData, null, 2));
-    }
-};
-
-initializeDataFile(EPISODES_FILE, []);
-initializeDataFile(CUSTOM_ANIME_FILE, []);
-initializeDataFile(SCHEDULED_ANIME_FILE, []); // Initialize scheduled anime file
-
-// Helper functions to read and write data
-const readData = (filePath) => {
-    try {
-        const data = fs.readFileSync(filePath, 'utf8');
-        return JSON.parse(data);
-    } catch (error) {
-        console.error(`Error reading ${filePath}:`, error);
-        return [];
-    }
-};
+// Storage backend: "json" (default, whole-file JSON) or "sqlite" (embedded
+// database). "sqlite" needs the optional better-sqlite3 package, which only
+// installs on Node 20 or newer; "json" works on every Node the app supports.
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'json';
+const store = createStorage({
+    driver: STORAGE_DRIVER,
+    dataDir: DATA_DIR,
+    sqliteFile: process.env.SQLITE_FILE,
+    // Journal entries to collect before folding them into the JSON snapshots
+    compactThreshold: parseInt(process.env.JOURNAL_COMPACT_THRESHOLD) || undefined
+});
 
-const writeData = (filePath, data) => {
-    try {
-        // Create a backup of the file before writing
-        if (fs.existsSync(filePath)) {
-            const backupPath = `${filePath}.backup`;
-            fs.copyFileSync(filePath, backupPath);
-        }
-        
-        // Write the data to a temporary file first
-        const tempPath = `${filePath}.temp`;
-        fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
-        
-        // Rename the temporary file to the actual file (atomic operation)
-        fs.renameSync(tempPath, filePath);
-        
-        return true;
-    } catch (error) {
-        console.error(`Error writing to ${filePath}:`, error);
-        
-        // Try to restore from backup if write failed
-        try {
-            const backupPath = `${filePath}.backup`;
-            if (fs.existsSync(backupPath)) {
-                fs.copyFileSync(backupPath, filePath);
-                console.log(`Restored ${filePath} from backup`);
-            }
-        } catch (backupError) {
-            console.error(`Failed to restore backup for ${filePath}:`, backupError);
-        }
-        
-        return false;
-    }
-};
+// Snapshots of the data kept in DATA_DIR/backups
+const backups = createBackupManager({ dataDir: DATA_DIR, store, keep: 7 });
 
 // AniList GraphQL API
 const ANILIST_API = 'https://graphql.anilist.co';
 
-// GraphQL query to get anime details
-const getAnimeQuery = `
-query ($id: Int) {
+// GraphQL query for an anime's characters, main characters first
+const getAnimeCharactersQuery = `
+query ($id: Int, $page: Int) {
   Media(id: $id, type: ANIME) {
-    id
-    title {
-      english
-      romaji
-      native
-    }
-    description
-    genres
-    coverImage {
-      large
-      extraLarge
-    }
-    bannerImage
-    averageScore
-    popularity
-    episodes
-    duration
-    status
-    startDate {
-      year
-      month
-      day
-    }
-    endDate {
-      year
-      month
-      day
-    }
-    season
-    studios {
-      nodes {
-        name
+    characters(page: $page, perPage: 50, sort: [ROLE, RELEVANCE]) {
+      pageInfo {
+        hasNextPage
+      }
+      edges {
+        role
+        node {
+          id
+          name {
+            full
+            native
+          }
+          image {
+            medium
+          }
+        }
       }
     }
-    countryOfOrigin
-    isAdult
   }
 }
 `;
 
-const searchAnimeQuery = `
-query ($search: String) {
-  Page(page: 1, perPage: 10) {
-    media(search: $search, type: ANIME) {
+// GraphQL query for the upcoming airing times of up to 50 anime
+const getAiringScheduleQuery = `
+query ($ids: [Int], $perPage: Int) {
+  Page(page: 1, perPage: $perPage) {
+    media(id_in: $ids, type: ANIME) {
       id
+      status
       title {
         english
         romaji
-        native
       }
-      description
-      genres
       coverImage {
         large
         extraLarge
       }
-      bannerImage
-      averageScore
-      popularity
-      episodes
-      duration
-      status
-      startDate {
-        year
-        month
-        day
-      }
-      endDate {
-        year
-        month
-        day
+      nextAiringEpisode {
+        id
+        episode
+        airingAt
       }
-      season
-      studios {
+      airingSchedule(notYetAired: true, perPage: 10) {
         nodes {
-          name
+          id
+          episode
+          airingAt
         }
       }
-      countryOfOrigin
-      isAdult
     }
   }
 }
 `;
 
-// Format anime data from AniList - now using higher quality images
-const formatAnimeData = (anilistData) => {
-  const media = anilistData.data.Media;
-  
-  // Format date
-  const formatDate = (dateObj) => {
-    if (!dateObj || !dateObj.year) return null;
-    return `${dateObj.year}-${dateObj.month?.toString().padStart(2, '0') || '01'}-${dateObj.day?.toString().padStart(2, '0') || '01'}`;
-  };
-  
-  return {
-    id: media.id.toString(),
-    title: media.title.english || media.title.romaji,
-    titleRomaji: media.title.romaji,
-    titleNative: media.title.native,
-    description: media.description?.replace(/<br>/g, '\n').replace(/<\/?[^>]+(>|$)/g, "") || "",
-    genres: media.genres || [],
-    // Use extraLarge image when available for higher quality
-    thumbnail: media.coverImage?.extraLarge || media.coverImage?.large || "",
-    banner: media.bannerImage || "",
-    rating: media.averageScore / 10 || 0,
-    popularity: media.popularity || 0,
-    episodeCount: media.episodes?.toString() || "Unknown",
-    duration: media.duration?.toString() || "Unknown",
-    status: media.status || "Unknown",
-    startDate: formatDate(media.startDate),
-    endDate: formatDate(media.endDate),
-    season: media.season || "Unknown",
-    country: media.countryOfOrigin || "Unknown",
-    isAdult: media.isAdult || false,
-    studios: media.studios?.nodes?.map(studio => studio.name) || [],
-    dateAdded: new Date().toISOString()
-  };
+// Shared AniList client: batching, rate-limit handling, retries and a circuit breaker
+const anilist = createAniListClient({
+    endpoint: ANILIST_API,
+    mediaBatchQuery: getAnimeBatchQuery,
+    concurrency: parseInt(process.env.ANILIST_CONCURRENCY) || 2
+});
+
+// Reply 503 when a request failed because AniList is throttling us or down.
+// Returns false for other errors so the caller can handle them.
+const sendAniListUnavailable = (res, error) => {
+    if (!isAniListUnavailable(error)) return false;
+    
+    if (error.retryAfterMs) {
+        res.set('Retry-After', String(Math.ceil(error.retryAfterMs / 1000)));
+    }
+    res.status(503).json({ error: 'AniList is unavailable right now, please try again later', anilist: anilist.state() });
+    return true;
+};
+
+// Add the Tagalog dub flag from our stored entry to provider data
+const withStoredTagalogDub = (animeDetail) => {
+    const storedAnime = store.get('anime', animeDetail.id);
+    animeDetail.hasTagalogDub = storedAnime && storedAnime.hasTagalogDub !== undefined
+        ? storedAnime.hasTagalogDub
+        : false; // Default value
+    return animeDetail;
+};
+
+// Where anime metadata comes from, tried in METADATA_PROVIDERS order
+// (default "anilist,local"). The local provider reads a JSON catalog that
+// works offline and covers titles AniList doesn't have.
+const LOCAL_CATALOG_FILE = process.env.LOCAL_CATALOG_FILE || path.join(DATA_DIR, 'local_catalog.json');
+const availableProviders = {
+    anilist: createAniListProvider({ client: anilist }),
+    local: createLocalProvider({ filePath: LOCAL_CATALOG_FILE })
+};
+const providerOrder = parseProviderOrder(process.env.METADATA_PROVIDERS || 'anilist,local', Object.keys(availableProviders));
+
+// Custom anime live in the library itself, so they are always looked up first
+const metadata = createProviderChain([
+    createCustomProvider({ getRecord: (id) => store.get('anime', id) }),
+    ...providerOrder.map(name => availableProviders[name])
+]);
+
+// Merge the admin's per-field overrides over provider data (or over the
+// stored record when the providers failed). The cache keeps provider data
+// only, so overrides survive every refill.
+const withOverrides = (animeDetail) => {
+    const storedAnime = store.get('anime', animeDetail.id);
+    return applyOverrides(animeDetail, storedAnime && storedAnime.overrides);
+};
+
+// Fetch an anime from the metadata providers
+const fetchAnimeDetail = async (animeId) => {
+    const animeDetail = await metadata.getById(animeId);
+    if (!animeDetail) throw new Error(`Anime ${animeId} not found`);
+    return withStoredTagalogDub(animeDetail);
 };
 
-// Format search results from AniList - now using higher quality images
-const formatSearchResults = (anilistData) => {
-  return anilistData.data.Page.media.map(media => {
-    // Format date
-    const formatDate = (dateObj) => {
-      if (!dateObj || !dateObj.year) return null;
-      return `${dateObj.year}-${dateObj.month?.toString().padStart(2, '0') || '01'}-${dateObj.day?.toString().padStart(2, '0') || '01'}`;
+// Fetch many anime from the metadata providers (AniList in batches); returns a Map of id -> details
+const fetchAnimeDetails = async (animeIds) => {
+    const details = await metadata.getMany(animeIds);
+    details.forEach(animeDetail => withStoredTagalogDub(animeDetail));
+    return details;
+};
+
+// Metadata changes noticed when library anime are re-fetched from AniList
+const metadataChanges = createChangeLog({ filePath: path.join(DATA_DIR, 'metadata_changes.json') });
+
+const recordMetadataChanges = (animeId, before, after) => {
+    if (!store.get('anime', animeId)) return;
+    
+    const changes = diffMetadata(before, after);
+    if (changes.length === 0) return;
+    
+    const title = after.title || before.title || animeId;
+    const episodesInLibrary = store.listByAnime('episodes', animeId).length;
+    const entry = {
+        id: `${Date.now()}-${animeId}`,
+        animeId,
+        title,
+        detectedAt: new Date().toISOString(),
+        changes,
+        episodesInLibrary,
+        summary: summarizeChanges({ title, changes, after, episodesInLibrary })
     };
     
-    return {
-      id: media.id.toString(),
-      title: media.title.english || media.title.romaji,
-      titleRomaji: media.title.romaji,
-      titleNative: media.title.native,
-      description: media.description?.replace(/<br>/g, '\n').replace(/<\/?[^>]+(>|$)/g, "") || "",
-      genres: media.genres || [],
-      // Use extraLarge image when available for higher quality
-      thumbnail: media.coverImage?.extraLarge || media.coverImage?.large || "",
-      banner: media.bannerImage || "",
-      rating: media.averageScore / 10 || 0,
-      popularity: media.popularity || 0,
-      episodeCount: media.episodes?.toString() || "Unknown",
-      duration: media.duration?.toString() || "Unknown",
-      status: media.status || "Unknown",
-      startDate: formatDate(media.startDate),
-      endDate: formatDate(media.endDate),
-      season: media.season || "Unknown",
-      country: media.countryOfOrigin || "Unknown",
-      isAdult: media.isAdult || false,
-      studios: media.studios?.nodes?.map(studio => studio.name) || []
-    };
-  });
+    metadataChanges.record(entry);
+    console.log(`Metadata change: ${entry.summary}`);
+};
+
+// Cache for anime data to reduce API calls. Saved to DATA_DIR so a restart
+// doesn't refetch the whole library; entries older than the TTL are served
+// while they refresh in the background.
+const ANILIST_CACHE_TTL_MINUTES = parseInt(process.env.ANILIST_CACHE_TTL_MINUTES) || 12 * 60;
+const animeCache = createMetadataCache({
+    filePath: path.join(DATA_DIR, 'anilist_cache.json'),
+    ttlMs: ANILIST_CACHE_TTL_MINUTES * 60 * 1000,
+    load: fetchAnimeDetail,
+    loadMany: fetchAnimeDetails,
+    onUpdate: recordMetadataChanges,
+    onChange: (animeId) => {
+        librarySearch.refresh(animeId);
+        invalidateFacets();
+    }
+});
+
+// Facet counts by filter set (see /api/anime/facets). Emptied whenever the
+// library or cached metadata changes, so counts are never stale.
+const MAX_CACHED_FACETS = 200;
+const facetsByQuery = new Map();
+let facetsVersion = 0;
+const invalidateFacets = () => {
+    facetsByQuery.clear();
+    facetsVersion++;
 };
 
-// Cache for anime data to reduce API calls
-const animeCache = new Map();
+// Search index over the library's titles, synonyms, studios, genres,
+// overrides and episode titles; kept current on every store commit and
+// cache change
+const librarySearch = createLibrarySearch({
+    store,
+    getDetail: (animeId) => animeCache.peek(animeId)
+});
+store.onCommit(ops => {
+    librarySearch.applyOps(ops);
+    if (ops.some(op => op.collection === 'anime')) invalidateFacets();
+});
+
+// Re-fetches library anime on a schedule that depends on their airing status
+const metadataRefresher = createMetadataRefresher({
+    cache: animeCache,
+    getLibraryIds: () => store.all('anime').map(anime => anime.id)
+});
 
-// In-memory data storage
-let customAnimeList = [];
-let episodes = [];
-let scheduledAnime = [];
+// Probes episode video links in the background and remembers which keep failing
+const linkChecker = createLinkChecker({
+    filePath: path.join(DATA_DIR, 'link_health.json'),
+    concurrency: parseInt(process.env.LINK_CHECK_CONCURRENCY) || 4,
+    getTargets: (animeId) => {
+        const episodes = animeId ? store.listByAnime('episodes', animeId) : store.all('episodes');
+        return episodes.flatMap(episode => episodeSources(episode).map(source => ({
+            episodeId: episode.id,
+            animeId: episode.animeId,
+            sourceId: source.id,
+            url: source.url,
+            kind: source.kind
+        })));
+    }
+});
+store.onCommit(ops => linkChecker.applyOps(ops));
 
 // Data state tracking
 let dataLoaded = false;
 let lastExportTimestamp = null;
 
-// Load data files on startup
+// Load data on startup
 try {
-    console.log("Loading custom anime list from disk...");
-    customAnimeList = readData(CUSTOM_ANIME_FILE);
-    console.log(`Loaded ${customAnimeList.length} custom anime entries`);
+    console.log(`Loading data using the ${store.driver} storage driver...`);
+    store.load();
+    console.log(`Loaded ${store.count('anime')} custom anime entries`);
+    console.log(`Loaded ${store.count('episodes')} episodes`);
+    console.log(`Loaded ${store.count('scheduled')} scheduled anime entries`);
     
-    console.log("Loading episodes from disk...");
-    episodes = readData(EPISODES_FILE);
-    console.log(`Loaded ${episodes.length} episodes`);
-    
-    console.log("Loading scheduled anime from disk...");
-    scheduledAnime = readData(SCHEDULED_ANIME_FILE);
-    console.log(`Loaded ${scheduledAnime.length} scheduled anime entries`);
+    librarySearch.build();
+    console.log(`Indexed ${librarySearch.size} anime for library search`);
     
     dataLoaded = true;
 } catch (error) {
-    console.error("Error loading data files:", error);
+    console.error("Error loading data:", error);
+}
+
+// Fetch metadata for library anime that aren't cached yet so they can be
+// found by title; the index picks them up as they arrive
+const uncachedIds = store.all('anime').map(anime => anime.id).filter(animeId => !animeCache.peek(animeId));
+if (uncachedIds.length > 0) {
+    animeCache.getMany(uncachedIds)
+        .then(details => console.log(`Cached metadata for ${details.size} of ${uncachedIds.length} uncached library anime`))
+        .catch(error => console.error("Error caching library metadata:", error.message));
 }
 
+// Interval of a background job from an environment variable (in `unitMs`
+// units), capped at the longest delay Node timers accept: anything above
+// fires every millisecond instead
+const MAX_TIMER_DELAY_MS = 2147483647;
+const intervalFromEnv = (name, fallback, unitMs) => {
+    const value = parseFloat(process.env[name]);
+    return Math.min((value > 0 ? value : fallback) * unitMs, MAX_TIMER_DELAY_MS);
+};
+
+// Build a 400 body for rejected input; long error lists are trimmed. Errors
+// are { path, message } objects, the shape returned by the import
+// validation and by every parser in lib/ (parseSearchParams, parseCredits,
+// parseSources, ...), so one helper reports them all.
+const MAX_REPORTED_ERRORS = 100;
+const validationErrorResponse = (message, errors) => ({
+    error: message,
+    errorCount: errors.length,
+    errors: errors.slice(0, MAX_REPORTED_ERRORS)
+});
+
+// Storage operations that set an anime's Tagalog dub flag (none if the anime is unknown)
+const tagalogDubOps = (animeId, hasTagalogDub) => {
+    const storedAnime = store.get('anime', animeId);
+    return storedAnime ? [{ type: 'put', collection: 'anime', record: { ...storedAnime, hasTagalogDub } }] : [];
+};
+
+// Keep cached anime details in step with the stored Tagalog dub flag
+const setCachedTagalogDub = (animeId, hasTagalogDub) => {
+    animeCache.patch(animeId, { hasTagalogDub });
+};
+
+// Update an anime's Tagalog dub flag in storage and in the cache
+const setAnimeTagalogDub = (animeId, hasTagalogDub) => {
+    const ops = tagalogDubOps(animeId, hasTagalogDub);
+    if (ops.length === 0 || !store.commit(ops)) return false;
+    
+    setCachedTagalogDub(animeId, hasTagalogDub);
+    return true;
+};
+
+// An episode as served to clients, with its sources best first (older
+// episodes only have iframeSrc, which becomes their one source)
+const withEpisodeSources = (episode) => ({ ...episode, sources: episodeSources(episode) });
+
+// Sources for a new episode: `sources` from the request, or the iframeSrc /
+// server2Url pair older clients send. Returns { sources, errors }.
+const requestedSources = (body, path = 'sources') => {
+    if (body.sources !== undefined) return parseSources(body.sources, { path });
+    
+    const language = body.hasTagalogDub === true ? 'tagalog-dub' : null;
+    const legacyUrls = [body.iframeSrc, body.server2Url].filter(url => typeof url === 'string' && url.trim() !== '');
+    return parseSources(legacyUrls.map(url => ({ url, language })), { path });
+};
+
+// Store an episode with a new list of sources. A Tagalog dub source marks
+// the episode and its anime as dubbed. Returns the stored episode, or null.
+const saveEpisodeSources = (episode, sources) => {
+    const updatedEpisode = withSources(episode, sources);
+    const firstTagalogDub = hasTagalogSource(sources) && episode.hasTagalogDub !== true;
+    
+    const ops = [{ type: 'put', collection: 'episodes', record: updatedEpisode }];
+    if (firstTagalogDub) {
+        updatedEpisode.hasTagalogDub = true;
+        ops.push(...tagalogDubOps(episode.animeId, true));
+    }
+    
+    if (!store.commit(ops)) return null;
+    if (firstTagalogDub) setCachedTagalogDub(episode.animeId, true);
+    return updatedEpisode;
+};
+
+// Replace the server data with a validated browser backup. The server takes
+// over the backup's generation and continues numbering after its revision, so
+// the browser that sent it stays in step with the delta sync.
+const applyBrowserBackup = (backupData, restoreData) => {
+    const ok = store.commit(
+        COLLECTIONS.map(collection => ({ type: 'replace', collection, records: restoreData[collection] })),
+        {
+            generation: typeof backupData.generation === 'string' ? backupData.generation : true,
+            afterRevision: Number.isInteger(backupData.revision) ? backupData.revision : 0
+        }
+    );
+    if (!ok) return false;
+    
+    // Clear cache to force refresh
+    animeCache.clear();
+    dataLoaded = true;
+    return true;
+};
+
+// Fetch an anime's characters from AniList, following pages up to a limit
+const MAX_CHARACTER_PAGES = 4;
+const fetchAnimeCharacters = async (animeId) => {
+    const characters = [];
+    
+    for (let page = 1; page <= MAX_CHARACTER_PAGES; page++) {
+        const body = await anilist.request(getAnimeCharactersQuery, { id: parseInt(animeId), page });
+        const connection = body.data.Media.characters;
+        characters.push(...formatCharacters(connection.edges));
+        if (!connection.pageInfo.hasNextPage) break;
+    }
+    return characters;
+};
+
+// Save the dub credits of a library anime; null removes them
+const setAnimeCredits = (animeId, credits) => {
+    const storedAnime = store.get('anime', animeId);
+    if (!storedAnime) return false;
+    
+    const record = { ...storedAnime, credits };
+    if (!credits) delete record.credits;
+    return store.update('anime', record);
+};
+
+// Save the overrides of a library anime; an empty set removes them
+const setAnimeOverrides = (animeId, overrides) => {
+    const storedAnime = store.get('anime', animeId);
+    if (!storedAnime) return false;
+    
+    const record = { ...storedAnime, overrides };
+    if (Object.keys(overrides).length === 0) delete record.overrides;
+    return store.update('anime', record);
+};
+
+// Cached anime details with their franchise relations. Entries cached before
+// relations were part of the query are re-fetched once.
+const getDetailsWithRelations = async (animeIds) => {
+    const detailsById = await animeCache.getMany(animeIds);
+    const outdated = animeIds.filter(id => detailsById.has(id) && !Array.isArray(detailsById.get(id).relations));
+    
+    if (outdated.length > 0) {
+        (await animeCache.refresh(outdated)).forEach((details, id) => detailsById.set(id, details));
+    }
+    return detailsById;
+};
+
+// The franchise of an anime in watch order, marked against the library
+const getFranchise = (animeId) => buildFranchise(animeId, {
+    getMany: async (animeIds) => {
+        const detailsById = await getDetailsWithRelations(animeIds);
+        detailsById.forEach((details, id) => detailsById.set(id, withOverrides(details)));
+        return detailsById;
+    },
+    isInLibrary: (id) => Boolean(store.get('anime', id)),
+    hasTagalogDub: (id) => {
+        const storedAnime = store.get('anime', id);
+        return storedAnime ? storedAnime.hasTagalogDub === true : false;
+    }
+});
+
+const dataCounts = () => ({
+    anime: store.count('anime'),
+    episodes: store.count('episodes'),
+    scheduled: store.count('scheduled')
+});
+
 // Serve an HTML page with a hidden iframe to keep the service alive
 app.get('/keepalive', (req, res) => {
     res.send(`
@@ -362,15 +542,15 @@ app.get('/keepalive', (req, res) => {
                 <div class="stats">
                     <div class="stat-card">
                         <div>Anime Count</div>
-                        <div class="stat-value">${customAnimeList.length}</div>
+                        <div class="stat-value">${store.count('anime')}</div>
                     </div>
                     <div class="stat-card">
                         <div>Episodes Count</div>
-                        <div class="stat-value">${episodes.length}</div>
+                        <div class="stat-value">${store.count('episodes')}</div>
                     </div>
                     <div class="stat-card">
                         <div>Scheduled Items</div>
-                        <div class="stat-value">${scheduledAnime.length}</div>
+                        <div class="stat-value">${store.count('scheduled')}</div>
                     </div>
                     <div class="stat-card">
                         <div>Cache Size</div>
@@ -461,6 +641,12 @@ app.get('/keepalive', (req, res) => {
                                 })
                                 .then(response => response.json())
                                 .then(result => {
+                                    if (result.error) {
+                                        const firstError = result.errors && result.errors[0];
+                                        alert('Error restoring backup: ' + result.error +
+                                              (firstError ? ' (' + firstError.path + ' ' + firstError.message + ')' : ''));
+                                        return;
+                                    }
                                     alert('Backup restored successfully! ' + 
                                           'Anime: ' + result.counts.anime + ', ' +
                                           'Episodes: ' + result.counts.episodes + ', ' +
@@ -500,12 +686,12 @@ app.get('/keepalive', (req, res) => {
 });
 
 // Data sync interval (now every 10 minutes to better preserve data)
+// Mutations are journaled as they happen; this folds the journal into the snapshots
 const syncInterval = 10 * 60 * 1000; // 10 minutes
 setInterval(() => {
     console.log("Syncing data to disk...");
-    writeData(CUSTOM_ANIME_FILE, customAnimeList);
-    writeData(EPISODES_FILE, episodes);
-    writeData(SCHEDULED_ANIME_FILE, scheduledAnime);
+    store.flush();
+    animeCache.flush();
     console.log("Data sync complete");
     lastExportTimestamp = Date.now();
 }, syncInterval);
@@ -513,11 +699,12 @@ setInterval(() => {
 // Auto-trigger browser storage backup endpoint (for embedded clients)
 app.get('/api/auto-backup', (req, res) => {
     const exportData = {
-        anime: customAnimeList,
-        episodes,
-        scheduled: scheduledAnime,
+        anime: store.all('anime'),
+        episodes: store.all('episodes'),
+        scheduled: store.all('scheduled'),
         exportDate: new Date().toISOString(),
-        exportVersion: "1.2"
+        exportVersion: CURRENT_EXPORT_VERSION,
+        ...store.dataset
     };
     
     res.json(exportData);
@@ -529,6 +716,10 @@ app.get('/api/ping', (req, res) => {
 });
 
 // Browser-stored backup integration
+// An empty server restores the backup straight away. Otherwise nothing is
+// written: the response carries a reconciliation plan comparing the backup
+// with the server data (see lib/reconcile.js), and an admin can accept it
+// through /api/browser-backup/apply.
 app.post('/api/browser-backup', (req, res) => {
     try {
         const backupData = req.body;
@@ -539,161 +730,207 @@ app.post('/api/browser-backup', (req, res) => {
         
         console.log("Received browser backup, validating...");
         
+        // Validate every record and upgrade older export versions
+        const { data: restoreData, fromVersion, errors, warnings } = prepareImport(backupData);
+        
+        if (!restoreData) {
+            return res.status(400).json(validationErrorResponse('Invalid browser backup structure', errors));
+        }
+        
         // Only restore from browser backup if our current data is empty or nonexistent
         if (!dataLoaded || 
-            (customAnimeList.length === 0 && episodes.length === 0 && scheduledAnime.length === 0)) {
+            (store.count('anime') === 0 && store.count('episodes') === 0 && store.count('scheduled') === 0)) {
             
-            // Validate the backup structure
-            if (Array.isArray(backupData.anime) && 
-                Array.isArray(backupData.episodes) && 
-                Array.isArray(backupData.scheduled)) {
-                
-                console.log("Restoring data from browser backup...");
-                
-                // Update in-memory data
-                customAnimeList = backupData.anime;
-                episodes = backupData.episodes;
-                scheduledAnime = backupData.scheduled;
-                
-                // Clear cache to force refresh
-                animeCache.clear();
-                
-                // Write to disk immediately
-                writeData(CUSTOM_ANIME_FILE, customAnimeList);
-                writeData(EPISODES_FILE, episodes);
-                writeData(SCHEDULED_ANIME_FILE, scheduledAnime);
-                
-                dataLoaded = true;
-                
-                res.json({ 
-                    message: 'Browser backup restore successful', 
-                    counts: {
-                        anime: customAnimeList.length,
-                        episodes: episodes.length,
-                        scheduled: scheduledAnime.length
-                    } 
-                });
-                
-                console.log("Data restored from browser backup");
-            } else {
-                res.status(400).json({ error: 'Invalid browser backup structure' });
+            console.log(`Restoring data from browser backup (export version ${fromVersion})...`);
+            
+            if (!applyBrowserBackup(backupData, restoreData)) {
+                return res.status(500).json({ error: 'Failed to restore browser backup' });
             }
-        } else {
-            res.json({ 
-                message: 'Server already has data, browser backup not applied', 
-                counts: {
-                    anime: customAnimeList.length,
-                    episodes: episodes.length,
-                    scheduled: scheduledAnime.length
-                } 
+            
+            console.log("Data restored from browser backup");
+            
+            return res.json({ 
+                message: 'Browser backup restore successful', 
+                applied: true,
+                fromVersion,
+                warnings,
+                dataset: store.dataset,
+                counts: dataCounts()
             });
         }
+        
+        const live = {};
+        COLLECTIONS.forEach(collection => { live[collection] = store.all(collection); });
+        
+        const plan = planReconciliation({
+            server: { ...store.dataset, data: live, deletedRevision: store.deletedRevision },
+            browser: { ...backupData, data: restoreData }
+        });
+        
+        console.log(`Browser backup not applied (${plan.status})`);
+        
+        res.json({ 
+            message: `Server already has data, browser backup not applied (${plan.status})`, 
+            applied: false,
+            fromVersion,
+            warnings,
+            plan,
+            counts: dataCounts()
+        });
     } catch (error) {
         console.error("Error processing browser backup:", error);
         res.status(500).json({ error: 'Failed to process browser backup: ' + error.message });
     }
 });
 
+// Accept a reconciliation plan in favour of the browser backup
+// Body: { backup, expectedRevision } - expectedRevision is plan.server.revision;
+// if the server data has changed since then the plan is stale and a 409 is returned.
+app.post('/api/browser-backup/apply', (req, res) => {
+    try {
+        const { backup, expectedRevision } = req.body || {};
+        
+        if (!backup || typeof backup !== 'object') {
+            return res.status(400).json({ error: 'backup is required' });
+        }
+        
+        if (!Number.isInteger(expectedRevision)) {
+            return res.status(400).json({ error: 'expectedRevision must be the server revision from the reconciliation plan' });
+        }
+        
+        if (expectedRevision !== store.revision) {
+            return res.status(409).json({
+                error: 'Server data changed since the reconciliation plan was made; review a new plan first',
+                dataset: store.dataset
+            });
+        }
+        
+        const { data: restoreData, fromVersion, errors, warnings } = prepareImport(backup);
+        if (!restoreData) {
+            return res.status(400).json(validationErrorResponse('Invalid browser backup structure', errors));
+        }
+        
+        const safetySnapshot = backups.create({ trigger: 'pre-import', note: 'Before applying browser backup' });
+        
+        if (!applyBrowserBackup(backup, restoreData)) {
+            return res.status(500).json({ error: 'Failed to apply browser backup' });
+        }
+        
+        console.log(`Applied browser backup over server data (snapshot ${safetySnapshot.id})`);
+        
+        res.json({
+            message: 'Browser backup applied',
+            applied: true,
+            fromVersion,
+            warnings,
+            safetySnapshot: safetySnapshot.id,
+            dataset: store.dataset,
+            counts: dataCounts()
+        });
+    } catch (error) {
+        console.error("Error applying browser backup:", error);
+        res.status(500).json({ error: 'Failed to apply browser backup: ' + error.message });
+    }
+});
+
+// A library anime for listings: cached details (or the stored record when
+// the providers failed) with overrides, the library's dub flag and the date
+// it was added to the library
+const toLibraryAnime = (animeInfo, animeDetail) => {
+    const anime = withOverrides(animeDetail || animeInfo);
+    anime.hasTagalogDub = animeInfo.hasTagalogDub === true;
+    if (animeInfo.dateAdded) anime.dateAdded = animeInfo.dateAdded;
+    return anime;
+};
+
+// Library anime for listings, in library order. Cached details where we
+// have them; the rest are fetched from AniList in batches
+const loadLibraryAnime = async (library) => {
+    const detailsById = await animeCache.getMany(library.map(animeInfo => animeInfo.id));
+    
+    return library.map(animeInfo => {
+        if (!detailsById.has(animeInfo.id)) {
+            console.error(`Failed to fetch anime details for ID ${animeInfo.id}`);
+        }
+        return toLibraryAnime(animeInfo, detailsById.get(animeInfo.id));
+    });
+};
+
+// Filter, sort and page library anime for a listing request; responds with
+// a 400 for invalid parameters
+const sendLibraryListing = async (req, res, library) => {
+    const query = parseLibraryQuery(req.query);
+    
+    if (query.errors.length > 0) {
+        return res.status(400).json(validationErrorResponse('Invalid list parameters', query.errors));
+    }
+    
+    const { results, pageInfo } = queryLibrary(await loadLibraryAnime(library), query);
+    
+    // Without page or perPage the whole (filtered) list is returned as an
+    // array, as before paging existed
+    res.json(query.paged ? { results, pageInfo } : results);
+};
+
 // API Routes
 // Get all anime (from custom list)
+// Query: genre and studio (comma-separated, all must match), status, season,
+// format, year, country (e.g. JP), hasTagalogDub, isAdult; sort (title,
+// rating, popularity, startDate or dateAdded) and order (asc or desc); page
+// and perPage (max 100).
+// Responds with { results, pageInfo } when page or perPage is given, or with
+// an array of every matching anime otherwise.
 app.get('/api/anime', async (req, res) => {
   try {
-    // Use the in-memory list instead of reading from disk every time
-    
-    // If we have IDs in our custom list, fetch details for each
-    const animeDetails = [];
-    
-    for (const animeInfo of customAnimeList) {
-      let animeDetail = null;
-      
-      // Check cache first
-      if (animeCache.has(animeInfo.id)) {
-        animeDetail = animeCache.get(animeInfo.id);
-      } else {
-        try {
-          const response = await axios.post(ANILIST_API, {
-            query: getAnimeQuery,
-            variables: { id: parseInt(animeInfo.id) }
-          });
-          
-          // Format the data
-          animeDetail = formatAnimeData(response.data);
-          
-          // Add tagalog dub info from our stored data
-          if (animeInfo.hasTagalogDub !== undefined) {
-            animeDetail.hasTagalogDub = animeInfo.hasTagalogDub;
-          } else {
-            animeDetail.hasTagalogDub = false; // Default value
-          }
-          
-          // Cache the result
-          animeCache.set(animeInfo.id, animeDetail);
-        } catch (error) {
-          // If AniList fails, use our stored custom data
-          animeDetail = animeInfo;
-          console.error(`Failed to fetch anime details for ID ${animeInfo.id}:`, error.message);
-        }
-      }
-      
-      animeDetails.push(animeDetail);
-    }
-    
-    res.json(animeDetails);
+    await sendLibraryListing(req, res, store.all('anime'));
   } catch (error) {
     console.error("Error fetching anime list:", error);
     res.status(500).json({ error: 'Failed to fetch anime list' });
   }
 });
 
-// Get tagalog dubbed anime only
+// Get tagalog dubbed anime only; takes the same parameters as /api/anime
 app.get('/api/anime/tagalog', async (req, res) => {
   try {
-    // Use the in-memory list instead of reading from disk
-    
-    // Filter for anime with tagalog dub
-    const tagalogAnimeIds = customAnimeList
-      .filter(anime => anime.hasTagalogDub === true)
-      .map(anime => anime.id);
-    
-    const animeDetails = [];
+    await sendLibraryListing(req, res, store.all('anime').filter(anime => anime.hasTagalogDub === true));
+  } catch (error) {
+    console.error("Error fetching Tagalog anime list:", error);
+    res.status(500).json({ error: 'Failed to fetch Tagalog anime list' });
+  }
+});
+
+// Counts for browse menus: genres, seasons (season + year), studios,
+// statuses, countries and Tagalog dub availability over the library.
+// Query: the filters of /api/anime; each facet counts the anime that pass
+// the other filters (genres and studios: all filters), so counts narrow as
+// filters are added.
+// Responds with { total, filters, facets }.
+app.get('/api/anime/facets', async (req, res) => {
+  const { filters, errors } = parseLibraryQuery(req.query);
+  
+  if (errors.length > 0) {
+    return res.status(400).json(validationErrorResponse('Invalid filters', errors));
+  }
+  
+  try {
+    const key = JSON.stringify(filters);
+    let result = facetsByQuery.get(key);
     
-    for (const animeId of tagalogAnimeIds) {
-      let animeDetail = null;
+    if (!result) {
+      const version = facetsVersion;
+      result = computeFacets(await loadLibraryAnime(store.all('anime')), filters);
       
-      // Check cache first
-      if (animeCache.has(animeId)) {
-        animeDetail = animeCache.get(animeId);
-      } else {
-        try {
-          const response = await axios.post(ANILIST_API, {
-            query: getAnimeQuery,
-            variables: { id: parseInt(animeId) }
-          });
-          
-          // Format the data
-          animeDetail = formatAnimeData(response.data);
-          animeDetail.hasTagalogDub = true;
-          
-          // Cache the result
-          animeCache.set(animeId, animeDetail);
-        } catch (error) {
-          // If AniList fails, use our stored custom data
-          const storedAnime = customAnimeList.find(a => a.id === animeId);
-          if (storedAnime) {
-            animeDetail = storedAnime;
-          } else {
-            continue; // Skip this anime if we can't get details
-          }
-        }
+      // Only keep counts if nothing changed while the details were loading
+      if (version === facetsVersion) {
+        if (facetsByQuery.size >= MAX_CACHED_FACETS) facetsByQuery.clear();
+        facetsByQuery.set(key, result);
       }
-      
-      animeDetails.push(animeDetail);
     }
     
-    res.json(animeDetails);
+    res.json({ total: result.total, filters, facets: result.facets });
   } catch (error) {
-    console.error("Error fetching Tagalog anime list:", error);
-    res.status(500).json({ error: 'Failed to fetch Tagalog anime list' });
+    console.error("Error counting anime facets:", error);
+    res.status(500).json({ error: 'Failed to count anime facets' });
   }
 });
 
@@ -702,41 +939,19 @@ app.get('/api/anime/:id', async (req, res) => {
   const animeId = req.params.id;
   
   try {
-    // Check cache first
-    if (animeCache.has(animeId)) {
-      return res.json(animeCache.get(animeId));
-    }
-    
-    // Try to fetch from AniList
+    // Serve from the cache, or fetch from AniList
     try {
-      const response = await axios.post(ANILIST_API, {
-        query: getAnimeQuery,
-        variables: { id: parseInt(animeId) }
-      });
-      
-      // Format the data
-      const animeDetail = formatAnimeData(response.data);
-      
-      // Check if there's tagalog dub info in custom anime list
-      const storedAnime = customAnimeList.find(a => a.id === animeId);
-      if (storedAnime && storedAnime.hasTagalogDub !== undefined) {
-        animeDetail.hasTagalogDub = storedAnime.hasTagalogDub;
-      } else {
-        animeDetail.hasTagalogDub = false; // Default value
-      }
-      
-      // Cache the result
-      animeCache.set(animeId, animeDetail);
-      
-      res.json(animeDetail);
+      res.json(withOverrides(await animeCache.get(animeId)));
     } catch (anilistError) {
       // If AniList API fails, check our custom data
-      const foundAnime = customAnimeList.find(a => a.id === animeId);
+      const foundAnime = store.get('anime', animeId);
       
       if (foundAnime) {
-        return res.json(foundAnime);
+        return res.json(withOverrides(foundAnime));
       }
       
+      if (sendAniListUnavailable(res, anilistError)) return;
+      
       return res.status(404).json({ error: 'Anime not found' });
     }
   } catch (error) {
@@ -747,82 +962,129 @@ app.get('/api/anime/:id', async (req, res) => {
 
 // Get all episodes (for dashboard)
 app.get('/api/episodes', (req, res) => {
-  // Use in-memory data instead of reading from disk
-  res.json(episodes);
+  res.json(store.all('episodes').map(withEpisodeSources));
 });
 
-// Get episodes for an anime
+// Get episodes for an anime in viewing order (season, then episodes and
+// recaps by number, then specials and OVAs)
+// Query: grouped=true for { animeId, seasons: [{ season, arcs, episodes }] }
 app.get('/api/anime/:id/episodes', (req, res) => {
   const animeId = req.params.id;
-  // Use in-memory data instead of reading from disk
-  const animeEpisodes = episodes.filter(e => e.animeId === animeId);
+  const animeEpisodes = sortEpisodes(store.listByAnime('episodes', animeId)).map(withEpisodeSources);
+  
+  if (req.query.grouped === 'true') {
+    return res.json({ animeId, seasons: groupBySeason(animeEpisodes) });
+  }
   
   res.json(animeEpisodes);
 });
 
+// Latest releases: recently added episodes, newest first, with back-to-back
+// uploads for the same anime collapsed into one item ("Ep 5–8 added")
+// Query: page, perPage (max 50), hasTagalogDub (true for Tagalog dub episodes only)
+// Responds with { results, pageInfo }; each item has the anime's title and
+// thumbnail, a dub flag and the episodes it covers.
+app.get('/api/episodes/latest', async (req, res) => {
+  const { page, perPage, hasTagalogDub, errors } = parseLatestQuery(req.query);
+  
+  if (errors.length > 0) {
+    return res.status(400).json(validationErrorResponse('Invalid feed parameters', errors));
+  }
+  
+  try {
+    const episodes = store.all('episodes').filter(episode => (
+      store.get('anime', episode.animeId) &&
+      (hasTagalogDub === undefined || (episode.hasTagalogDub === true) === hasTagalogDub)
+    ));
+    const groups = groupLatestEpisodes(episodes);
+    
+    // Only the anime on this page need details
+    const pageGroups = groups.slice((page - 1) * perPage, page * perPage);
+    const animeIds = [...new Set(pageGroups.map(group => group.animeId))];
+    const animeList = await loadLibraryAnime(animeIds.map(animeId => store.get('anime', animeId)));
+    const animeById = new Map(animeList.map(anime => [anime.id, anime]));
+    
+    const lastPage = Math.max(1, Math.ceil(groups.length / perPage));
+    res.json({
+      results: pageGroups.map(group => toFeedItem(group, animeById.get(group.animeId))),
+      pageInfo: {
+        total: groups.length,
+        currentPage: page,
+        lastPage,
+        perPage,
+        hasNextPage: page < lastPage
+      }
+    });
+  } catch (error) {
+    console.error("Error building latest episodes feed:", error);
+    res.status(500).json({ error: 'Failed to fetch latest episodes' });
+  }
+});
+
 // Get specific episode
 app.get('/api/episodes/:id', (req, res) => {
   const episodeId = req.params.id;
-  // Use in-memory data instead of reading from disk
-  const foundEpisode = episodes.find(e => e.id === episodeId);
+  const foundEpisode = store.get('episodes', episodeId);
   
   if (!foundEpisode) {
     return res.status(404).json({ error: 'Episode not found' });
   }
   
-  res.json(foundEpisode);
+  res.json(withEpisodeSources(foundEpisode));
 });
 
 // Get scheduled anime releases
 app.get('/api/scheduled', (req, res) => {
-  // Use in-memory data instead of reading from disk
-  
   // Sort by release date (ascending)
-  const sortedSchedule = [...scheduledAnime].sort((a, b) => new Date(a.releaseDate) - new Date(b.releaseDate));
+  const sortedSchedule = [...store.all('scheduled')].sort((a, b) => new Date(a.releaseDate) - new Date(b.releaseDate));
   
   res.json(sortedSchedule);
 });
 
 // Get upcoming releases (for integration with other sites)
 app.get('/api/upcoming', (req, res) => {
-  // Use in-memory data instead of reading from disk
   const now = new Date();
   
   // Filter for upcoming releases only
-  const upcomingReleases = scheduledAnime
+  const upcomingReleases = store.all('scheduled')
     .filter(item => new Date(item.releaseDate) > now)
     .sort((a, b) => new Date(a.releaseDate) - new Date(b.releaseDate));
   
   res.json(upcomingReleases);
 });
 
-// Search for anime in the library (instead of AniList)
+// Search for anime in the library (instead of AniList). Matches titles in
+// every language, synonyms, studios, genres, overridden text and episode
+// titles, tolerating typos.
+// Query: query (required), page, perPage (max 100), and the filters of
+// GET /api/anime (genre, studio, status, season, format, year, country,
+// hasTagalogDub, isAdult)
+// Responds with { results, pageInfo }, best match first; each result has a
+// relevance score and match: { field, value, ranges: [[start, end]] } to highlight.
 app.get('/api/library/search', (req, res) => {
-  const { query } = req.query;
+  const { query, filters, page, perPage, errors } = parseLibrarySearchParams(req.query);
   
-  if (!query) {
-    return res.status(400).json({ error: 'Query parameter required' });
+  if (errors.length > 0) {
+    return res.status(400).json(validationErrorResponse('Invalid search parameters', errors));
   }
   
   try {
-    // Search through in-memory cache of anime
-    const searchTerm = query.toLowerCase();
-    const matchingAnime = [];
+    // Cached details, or the stored record while metadata hasn't been fetched
+    const libraryAnime = (id) => toLibraryAnime(store.get('anime', id), animeCache.peek(id));
     
-    for (const animeInfo of customAnimeList) {
-      const animeDetail = animeCache.get(animeInfo.id);
-      
-      if (animeDetail) {
-        const title = animeDetail.title?.toLowerCase() || '';
-        const titleRomaji = animeDetail.titleRomaji?.toLowerCase() || '';
-        
-        if (title.includes(searchTerm) || titleRomaji.includes(searchTerm)) {
-          matchingAnime.push(animeDetail);
-        }
-      }
-    }
+    const { results: matches, pageInfo } = librarySearch.search(query, {
+      page,
+      perPage,
+      filter: Object.keys(filters).length > 0 ? (id => matchesFilters(libraryAnime(id), filters)) : null
+    });
     
-    res.json(matchingAnime);
+    const results = matches.map(({ id, score, match }) => ({
+      ...libraryAnime(id),
+      score,
+      match
+    }));
+    
+    res.json({ results, pageInfo });
   } catch (error) {
     console.error("Error searching library:", error);
     res.status(500).json({ error: 'Failed to search anime library' });
@@ -830,43 +1092,43 @@ app.get('/api/library/search', (req, res) => {
 });
 
 // Add anime to custom list
+// Body: { anilistId (or id, for anime from another metadata provider), hasTagalogDub }
 app.post('/api/anime', async (req, res) => {
   try {
-    const { anilistId, hasTagalogDub } = req.body;
+    const { hasTagalogDub } = req.body;
+    const requestedId = req.body.anilistId || req.body.id;
     
-    if (!anilistId) {
+    if (!requestedId) {
       return res.status(400).json({ error: 'AniList ID is required' });
     }
+    const animeId = requestedId.toString();
     
     // Check if anime already exists in our list
-    if (customAnimeList.some(a => a.id === anilistId.toString())) {
+    if (store.get('anime', animeId)) {
       return res.status(400).json({ error: 'Anime already exists in the list' });
     }
     
-    // Fetch anime details from AniList
-    const response = await axios.post(ANILIST_API, {
-      query: getAnimeQuery,
-      variables: { id: parseInt(anilistId) }
-    });
-    
-    // Format the data
-    const animeDetail = formatAnimeData(response.data);
+    // Fetch anime details from the metadata providers
+    const animeDetail = await metadata.getById(animeId);
+    if (!animeDetail) {
+      return res.status(400).json({ error: `Anime ${animeId} was not found on ${providerOrder.join(' or ')}` });
+    }
     
-    // Add to our custom list with Tagalog dub info
+    // Add to our custom list with Tagalog dub info and where the metadata came from
     const newAnimeEntry = { 
-      id: anilistId.toString(),
-      hasTagalogDub: hasTagalogDub === true
+      id: animeId,
+      hasTagalogDub: hasTagalogDub === true,
+      provider: animeDetail.provider,
+      dateAdded: new Date().toISOString()
     };
     
-    customAnimeList.push(newAnimeEntry);
-    
-    // Write to disk immediately to prevent data loss
-    if (writeData(CUSTOM_ANIME_FILE, customAnimeList)) {
+    // Write to storage immediately to prevent data loss
+    if (store.insert('anime', newAnimeEntry)) {
       // Add tagalog dub info
       animeDetail.hasTagalogDub = hasTagalogDub === true;
       
       // Cache the result
-      animeCache.set(anilistId.toString(), animeDetail);
+      animeCache.set(animeId, animeDetail);
       
       res.status(201).json(animeDetail);
     } else {
@@ -875,6 +1137,8 @@ app.post('/api/anime', async (req, res) => {
   } catch (error) {
     console.error("Error adding anime:", error);
     
+    if (sendAniListUnavailable(res, error)) return;
+    
     if (error.response && error.response.data) {
       return res.status(400).json({ error: 'Invalid AniList ID or API error', details: error.response.data });
     }
@@ -883,71 +1147,222 @@ app.post('/api/anime', async (req, res) => {
   }
 });
 
-// Bulk import episodes from structured data
-app.post('/api/bulk-import', async (req, res) => {
-  try {
-    const { animeId, episodes: newEpisodes } = req.body;
-    
-    if (!animeId) {
-      return res.status(400).json({ error: 'Anime ID is required' });
-    }
-    
-    if (!Array.isArray(newEpisodes) || newEpisodes.length === 0) {
-      return res.status(400).json({ error: 'Episodes array is required and must not be empty' });
-    }
-    
-    // Check if anime exists in our list
-    const animeExists = customAnimeList.some(a => a.id === animeId);
-    
-    if (!animeExists) {
-      return res.status(404).json({ error: 'Anime not found in our list' });
-    }
-    
-    const addedEpisodes = [];
-    
-    // Get existing episodes to avoid duplicates
-    const existingEpisodes = episodes.filter(e => e.animeId === animeId);
-    const existingEpisodeNumbers = new Set(existingEpisodes.map(e => e.number));
-    
-    for (const episodeData of newEpisodes) {
-      // Skip if episode number already exists
-      if (existingEpisodeNumbers.has(episodeData.number)) {
-        continue;
-      }
-      
-      // Create new episode with proper ID and title/description
-      const newEpisode = {
-        id: Date.now().toString() + '-' + Math.random().toString(36).substr(2, 5),
-        animeId: animeId,
-        title: episodeData.title || `Episode ${episodeData.number}`,
-        number: episodeData.number,
-        description: episodeData.description || `${episodeData.title || `Episode ${episodeData.number}`} description`,
-        iframeSrc: episodeData.iframeSrc || "",
-        hasTagalogDub: episodeData.hasTagalogDub === true,
-        dateAdded: new Date().toISOString()
-      };
-      
-      episodes.push(newEpisode);
+// Add an anime that isn't on AniList (local productions, TV-edited
+// compilations, dub-only cuts). It gets a "custom-" id and is served like
+// any other library anime.
+// Body: { title (required), titleRomaji, titleNative, description, genres, thumbnail,
+// banner, episodeCount, duration, format, status, startDate, endDate, season,
+// country, isAdult, studios, rating, hasTagalogDub }
+app.post('/api/anime/custom', (req, res) => {
+  const { fields, errors } = parseCustomAnime(req.body);
+  
+  if (errors.length > 0) {
+    return res.status(400).json(validationErrorResponse('Invalid anime', errors));
+  }
+  
+  let animeId = generateCustomId();
+  while (store.get('anime', animeId)) animeId = generateCustomId();
+  
+  const newAnimeEntry = {
+    id: animeId,
+    hasTagalogDub: req.body.hasTagalogDub === true,
+    provider: CUSTOM_PROVIDER,
+    ...fields,
+    dateAdded: new Date().toISOString()
+  };
+  
+  // Write to storage immediately to prevent data loss
+  if (store.insert('anime', newAnimeEntry)) {
+    res.status(201).json(withOverrides(withStoredTagalogDub(normalizeAnime(newAnimeEntry, CUSTOM_PROVIDER))));
+  } else {
+    res.status(500).json({ error: 'Failed to add anime to list' });
+  }
+});
+
+// Edit a custom anime; fields left out keep their value. Anime from AniList
+// or the catalog are changed with /api/anime/:id/overrides instead.
+app.put('/api/anime/:id', (req, res) => {
+  const animeId = req.params.id;
+  const storedAnime = store.get('anime', animeId);
+  
+  if (!storedAnime) {
+    return res.status(404).json({ error: 'Anime not found' });
+  }
+  
+  if (!isCustomAnime(storedAnime)) {
+    return res.status(400).json({ error: `Only custom anime can be edited; use /api/anime/${animeId}/overrides to change provider data` });
+  }
+  
+  const { fields, errors } = parseCustomAnime(req.body, storedAnime);
+  if (errors.length > 0) {
+    return res.status(400).json(validationErrorResponse('Invalid anime', errors));
+  }
+  
+  const updatedAnime = {
+    ...storedAnime,
+    ...fields,
+    hasTagalogDub: typeof req.body.hasTagalogDub === 'boolean' ? req.body.hasTagalogDub : storedAnime.hasTagalogDub
+  };
+  
+  if (store.update('anime', updatedAnime)) {
+    // The cached copy is the old record
+    animeCache.delete(animeId);
+    res.json(withOverrides(withStoredTagalogDub(normalizeAnime(updatedAnime, CUSTOM_PROVIDER))));
+  } else {
+    res.status(500).json({ error: 'Failed to update anime' });
+  }
+});
+
+// Get the franchise of an anime (sequels, prequels, side stories and parent
+// series, followed transitively) in watch order. Each entry says whether it
+// is in the library and has a Tagalog dub; `missing` lists the ids that
+// aren't in the library yet.
+app.get('/api/anime/:id/franchise', async (req, res) => {
+  const animeId = req.params.id;
+  
+  try {
+    try {
+      await animeCache.get(animeId);
+    } catch (anilistError) {
+      if (sendAniListUnavailable(res, anilistError)) return;
+      return res.status(404).json({ error: 'Anime not found' });
+    }
+    
+    const franchise = await getFranchise(animeId);
+    if (!franchise) {
+      return res.status(404).json({ error: 'Anime not found' });
+    }
+    
+    res.json(franchise);
+  } catch (error) {
+    console.error("Error fetching franchise:", error);
+    res.status(500).json({ error: 'Failed to fetch franchise' });
+  }
+});
+
+// Add franchise entries that aren't in the library yet
+// Body: { ids (optional, defaults to every missing entry), hasTagalogDub }
+app.post('/api/anime/:id/franchise/import', async (req, res) => {
+  const animeId = req.params.id;
+  const { ids, hasTagalogDub } = req.body;
+  
+  if (ids !== undefined && (!Array.isArray(ids) || ids.some(id => typeof id !== 'string' && typeof id !== 'number'))) {
+    return res.status(400).json({ error: 'ids must be an array of AniList IDs' });
+  }
+  
+  try {
+    const franchise = await getFranchise(animeId);
+    if (!franchise) {
+      return res.status(404).json({ error: 'Anime not found' });
+    }
+    
+    const requested = ids ? ids.map(id => id.toString()) : franchise.missing;
+    const unknownIds = requested.filter(id => !franchise.entries.some(entry => entry.id === id));
+    if (unknownIds.length > 0) {
+      return res.status(400).json({ error: 'Some ids are not part of this franchise', ids: unknownIds });
+    }
+    
+    const toAdd = requested.filter(id => franchise.missing.includes(id));
+    const dateAdded = new Date().toISOString();
+    // Franchise relations come from AniList
+    const newEntries = toAdd.map(id => ({ id, hasTagalogDub: hasTagalogDub === true, provider: ANILIST_PROVIDER, dateAdded }));
+    
+    if (newEntries.length > 0) {
+      if (!store.insertMany('anime', newEntries)) {
+        return res.status(500).json({ error: 'Failed to add anime to list' });
+      }
+      toAdd.forEach(id => setCachedTagalogDub(id, hasTagalogDub === true));
+    }
+    
+    res.status(newEntries.length > 0 ? 201 : 200).json({
+      added: toAdd,
+      franchise: await getFranchise(animeId)
+    });
+  } catch (error) {
+    console.error("Error importing franchise:", error);
+    res.status(500).json({ error: 'Failed to import franchise entries' });
+  }
+});
+
+// Bulk import episodes from structured data
+app.post('/api/bulk-import', async (req, res) => {
+  try {
+    const { animeId, episodes: newEpisodes } = req.body;
+    
+    if (!animeId) {
+      return res.status(400).json({ error: 'Anime ID is required' });
+    }
+    
+    if (!Array.isArray(newEpisodes) || newEpisodes.length === 0) {
+      return res.status(400).json({ error: 'Episodes array is required and must not be empty' });
+    }
+    
+    // Check if anime exists in our list
+    const animeExists = store.get('anime', animeId) !== null;
+    
+    if (!animeExists) {
+      return res.status(404).json({ error: 'Anime not found in our list' });
+    }
+    
+    const addedEpisodes = [];
+    const episodeErrors = [];
+    
+    // Get existing episodes to avoid duplicates (same season, type and number)
+    const existingEpisodes = store.listByAnime('episodes', animeId);
+    const existingEpisodeKeys = new Set(existingEpisodes.map(episodeKey));
+    
+    newEpisodes.forEach((episodeData, index) => {
+      const { numbering, errors: numberingErrors } = parseNumbering(episodeData, { path: `episodes[${index}]` });
+      const { sources, errors } = requestedSources(episodeData, `episodes[${index}].sources`);
+      if (numberingErrors.length > 0 || errors.length > 0) {
+        episodeErrors.push(...numberingErrors, ...errors);
+        return;
+      }
+      
+      // Episodes without a number follow the last one of their season and type
+      const season = numbering.season || DEFAULT_SEASON;
+      const type = numbering.type || DEFAULT_TYPE;
+      const number = numbering.number !== undefined
+        ? numbering.number
+        : nextEpisodeNumber([...existingEpisodes, ...addedEpisodes], { season, type });
+      const numbered = { ...numbering, season, type, number };
+      
+      // Skip if the episode already exists
+      if (existingEpisodeKeys.has(episodeKey(numbered))) {
+        return;
+      }
+      
+      // Create new episode with proper ID and title/description
+      const title = episodeData.title || episodeLabel(numbered);
+      const newEpisode = withSources({
+        id: Date.now().toString() + '-' + Math.random().toString(36).substr(2, 5),
+        animeId: animeId,
+        title,
+        ...numbered,
+        description: episodeData.description || `${title} description`,
+        hasTagalogDub: episodeData.hasTagalogDub === true || hasTagalogSource(sources),
+        dateAdded: new Date().toISOString()
+      }, sources);
+      
       addedEpisodes.push(newEpisode);
-      existingEpisodeNumbers.add(episodeData.number);
-    }
-    
-    // Write to disk immediately to prevent data loss
-    if (writeData(EPISODES_FILE, episodes)) {
-      // Update anime's Tagalog dub status if any episode has Tagalog dub
-      if (addedEpisodes.some(e => e.hasTagalogDub)) {
-        const animeIndex = customAnimeList.findIndex(a => a.id === animeId);
-        if (animeIndex !== -1) {
-          customAnimeList[animeIndex].hasTagalogDub = true;
-          writeData(CUSTOM_ANIME_FILE, customAnimeList);
-          
-          // Update cache if exists
-          if (animeCache.has(animeId)) {
-            const cachedAnime = animeCache.get(animeId);
-            cachedAnime.hasTagalogDub = true;
-            animeCache.set(animeId, cachedAnime);
-          }
-        }
+      existingEpisodeKeys.add(episodeKey(newEpisode));
+    });
+    
+    if (episodeErrors.length > 0) {
+      return res.status(400).json(validationErrorResponse('Invalid episodes', episodeErrors));
+    }
+    
+    // Store the episodes, and the anime's Tagalog dub status if any episode has Tagalog dub
+    const hasNewTagalogDub = addedEpisodes.some(e => e.hasTagalogDub);
+    const ops = addedEpisodes.map(record => ({ type: 'put', collection: 'episodes', record }));
+    if (hasNewTagalogDub) {
+      ops.push(...tagalogDubOps(animeId, true));
+    }
+    
+    // Write to storage immediately to prevent data loss
+    if (store.commit(ops)) {
+      if (hasNewTagalogDub) {
+        setCachedTagalogDub(animeId, true);
       }
       
       res.status(201).json({
@@ -977,31 +1392,40 @@ app.post('/api/parse-episodes', async (req, res) => {
     }
     
     // Check if anime exists in our list
-    const animeExists = customAnimeList.some(a => a.id === animeId);
+    const animeExists = store.get('anime', animeId) !== null;
     
     if (!animeExists) {
       return res.status(404).json({ error: 'Anime not found in our list' });
     }
     
-    // Simple regex to extract episode data from option tags
-    // We will now ignore server2 URLs and only use server1
-    const optionRegex = /<option value="(\d+)" data-server1="([^"]*)"[^>]*>([^<]+)<\/option>/g;
+    // Simple regex to extract episode data from option tags; server1 and
+    // server2 become the episode's first and second source
+    const optionRegex = /<option value="(\d+)"([^>]*)>([^<]+)<\/option>/g;
+    const serverAttribute = (attributes, name) => {
+      const found = new RegExp(`data-${name}="([^"]*)"`).exec(attributes);
+      return found ? found[1].trim() : '';
+    };
     
     const parsedEpisodes = [];
     let match;
     
     while ((match = optionRegex.exec(htmlContent)) !== null) {
       const episodeNumber = parseInt(match[1]);
-      const server1Url = match[2];
       const episodeTitle = match[3].trim();
       
-      // Only add if we have a valid server1 URL and it's not "LINK1"
-      if (server1Url && server1Url !== "LINK1") {
+      // Skip empty servers and the "LINK1" / "LINK2" placeholders
+      const serverUrls = ['server1', 'server2']
+        .map(name => serverAttribute(match[2], name))
+        .filter(url => url && !/^LINK\d$/.test(url));
+      const { sources } = parseSources(serverUrls.map(url => ({ url })));
+      
+      if (sources && sources.length > 0) {
         parsedEpisodes.push({
           number: episodeNumber,
           title: episodeTitle,
           description: `${episodeTitle} description`,
-          iframeSrc: server1Url,
+          iframeSrc: sources[0].url,
+          sources,
           hasTagalogDub: false
         });
       }
@@ -1026,50 +1450,61 @@ app.post('/api/parse-episodes', async (req, res) => {
 // Add new episode - now with description and only server1
 app.post('/api/episodes', async (req, res) => {
   // Check if anime exists in our list
-  const animeExists = customAnimeList.some(a => a.id === req.body.animeId);
+  const animeExists = store.get('anime', req.body.animeId) !== null;
   
   if (!animeExists) {
     return res.status(404).json({ error: 'Anime not found in our list' });
   }
   
-  // Get existing episodes to determine the next episode number
-  const existingEpisodes = episodes.filter(e => e.animeId === req.body.animeId);
-  const nextEpisodeNumber = req.body.number || (existingEpisodes.length > 0 
-    ? Math.max(...existingEpisodes.map(e => e.number)) + 1 
-    : 1);
+  const { numbering, errors: numberingErrors } = parseNumbering(req.body);
+  if (numberingErrors.length > 0) {
+    return res.status(400).json(validationErrorResponse('Invalid episode numbering', numberingErrors));
+  }
+  
+  // Get existing episodes to determine the next number in the episode's season and type
+  const existingEpisodes = store.listByAnime('episodes', req.body.animeId);
+  const season = numbering.season || DEFAULT_SEASON;
+  const type = numbering.type || DEFAULT_TYPE;
+  const numbered = {
+    ...numbering,
+    season,
+    type,
+    number: numbering.number !== undefined ? numbering.number : nextEpisodeNumber(existingEpisodes, { season, type })
+  };
+  
+  if (existingEpisodes.some(episode => episodeKey(episode) === episodeKey(numbered))) {
+    return res.status(409).json({ error: `Season ${season} already has ${episodeLabel(numbered)}` });
+  }
+  
+  const { sources, errors } = requestedSources(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json(validationErrorResponse('Invalid episode sources', errors));
+  }
   
   // Auto-generate episode title if not provided
-  const episodeTitle = req.body.title || `Episode ${nextEpisodeNumber}`;
+  const episodeTitle = req.body.title || episodeLabel(numbered);
+  const hasTagalogDub = req.body.hasTagalogDub === true || hasTagalogSource(sources);
   
-  const newEpisode = {
+  const newEpisode = withSources({
     id: Date.now().toString(),
     animeId: req.body.animeId,
     title: episodeTitle,
-    number: nextEpisodeNumber,
+    ...numbered,
     description: req.body.description || `${episodeTitle} description`,
-    iframeSrc: req.body.iframeSrc || "",
-    hasTagalogDub: req.body.hasTagalogDub === true,
+    hasTagalogDub,
     dateAdded: new Date().toISOString()
-  };
+  }, sources);
   
-  episodes.push(newEpisode);
+  // Store the episode, and the anime's Tagalog dub status if this episode has Tagalog dub
+  const ops = [{ type: 'put', collection: 'episodes', record: newEpisode }];
+  if (hasTagalogDub) {
+    ops.push(...tagalogDubOps(req.body.animeId, true));
+  }
   
-  // Write to disk immediately to prevent data loss
-  if (writeData(EPISODES_FILE, episodes)) {
-    // Update anime's Tagalog dub status if this episode has Tagalog dub
-    if (req.body.hasTagalogDub === true) {
-      const animeIndex = customAnimeList.findIndex(a => a.id === req.body.animeId);
-      if (animeIndex !== -1) {
-        customAnimeList[animeIndex].hasTagalogDub = true;
-        writeData(CUSTOM_ANIME_FILE, customAnimeList);
-        
-        // Update cache if exists
-        if (animeCache.has(req.body.animeId)) {
-          const cachedAnime = animeCache.get(req.body.animeId);
-          cachedAnime.hasTagalogDub = true;
-          animeCache.set(req.body.animeId, cachedAnime);
-        }
-      }
+  // Write to storage immediately to prevent data loss
+  if (store.commit(ops)) {
+    if (hasTagalogDub) {
+      setCachedTagalogDub(req.body.animeId, true);
     }
     
     res.status(201).json(newEpisode);
@@ -1096,14 +1531,11 @@ app.post('/api/scheduled', async (req, res) => {
       return res.status(400).json({ error: 'Invalid release date format' });
     }
     
-    // Fetch anime details from AniList to confirm it exists
-    const response = await axios.post(ANILIST_API, {
-      query: getAnimeQuery,
-      variables: { id: parseInt(anilistId) }
-    });
-    
-    // Format the data
-    const animeDetail = formatAnimeData(response.data);
+    // Fetch anime details from the metadata providers to confirm it exists
+    const animeDetail = await metadata.getById(anilistId.toString());
+    if (!animeDetail) {
+      return res.status(400).json({ error: `Anime ${anilistId} was not found on ${providerOrder.join(' or ')}` });
+    }
     
     // Add to scheduled releases
     const newScheduledAnime = {
@@ -1114,13 +1546,12 @@ app.post('/api/scheduled', async (req, res) => {
       releaseDate: releaseDate,
       notes: notes || "",
       hasTagalogDub: hasTagalogDub === true,
+      source: 'manual',
       dateAdded: new Date().toISOString()
     };
     
-    scheduledAnime.push(newScheduledAnime);
-    
-    // Write to disk immediately to prevent data loss
-    if (writeData(SCHEDULED_ANIME_FILE, scheduledAnime)) {
+    // Write to storage immediately to prevent data loss
+    if (store.insert('scheduled', newScheduledAnime)) {
       res.status(201).json(newScheduledAnime);
     } else {
       res.status(500).json({ error: 'Failed to add scheduled anime' });
@@ -1128,6 +1559,8 @@ app.post('/api/scheduled', async (req, res) => {
   } catch (error) {
     console.error("Error adding scheduled anime:", error);
     
+    if (sendAniListUnavailable(res, error)) return;
+    
     if (error.response && error.response.data) {
       return res.status(400).json({ error: 'Invalid AniList ID or API error', details: error.response.data });
     }
@@ -1136,57 +1569,284 @@ app.post('/api/scheduled', async (req, res) => {
   }
 });
 
+// Create or update scheduled releases from AniList airing times, converted
+// to Asia/Manila. Only synced entries (source: 'anilist') are changed; manual
+// entries and the notes on synced ones are left alone.
+// Body: { ids (AniList ids, library or not), library (true to sync every
+// library anime), limit (upcoming episodes per anime), hasTagalogDub, dryRun }
+app.post('/api/scheduled/sync', async (req, res) => {
+  const { ids, library, limit, hasTagalogDub, dryRun } = req.body;
+  
+  if (ids !== undefined && (!Array.isArray(ids) || ids.some(id => typeof id !== 'string' && typeof id !== 'number'))) {
+    return res.status(400).json({ error: 'ids must be an array of AniList IDs' });
+  }
+  if (!ids && library !== true) {
+    return res.status(400).json({ error: 'Provide ids or library: true' });
+  }
+  if (limit !== undefined && (!Number.isInteger(limit) || limit < 1 || limit > 10)) {
+    return res.status(400).json({ error: 'limit must be a whole number from 1 to 10' });
+  }
+  
+  try {
+    const animeIds = [...new Set(ids ? ids.map(id => id.toString()) : store.all('anime').map(anime => anime.id))];
+    
+    // Only AniList ids have airing data; custom and catalog anime are reported as skipped
+    const aniListIds = animeIds.filter(id => /^\d+$/.test(id));
+    const mediaById = await anilist.fetchMediaByIds(aniListIds, { query: getAiringScheduleQuery });
+    
+    // Nothing came back at all: AniList is down rather than the ids being unknown
+    if (mediaById.size === 0 && aniListIds.length > 0 && anilist.state().status !== 'ok') {
+      return res.status(503).json({ error: 'AniList is unavailable right now, please try again later', anilist: anilist.state() });
+    }
+    
+    const plan = planScheduleSync({
+      animeIds,
+      mediaById,
+      existing: store.all('scheduled'),
+      limit: limit || DEFAULT_EPISODE_LIMIT,
+      hasTagalogDub: (animeId) => {
+        if (typeof hasTagalogDub === 'boolean') return hasTagalogDub;
+        const storedAnime = store.get('anime', animeId);
+        return storedAnime ? storedAnime.hasTagalogDub === true : false;
+      }
+    });
+    
+    const { ops, ...summary } = plan;
+    const response = { timeZone: SCHEDULE_TIME_ZONE, dryRun: dryRun === true, ...summary };
+    
+    if (dryRun === true || ops.length === 0) {
+      return res.json(response);
+    }
+    
+    if (store.commit(ops)) {
+      console.log(`Schedule sync: ${summary.created.length} created, ${summary.updated.length} updated, ${summary.removed.length} removed`);
+      res.json(response);
+    } else {
+      res.status(500).json({ error: 'Failed to save scheduled releases' });
+    }
+  } catch (error) {
+    console.error("Error syncing schedule:", error);
+    if (sendAniListUnavailable(res, error)) return;
+    res.status(500).json({ error: 'Failed to sync schedule from AniList' });
+  }
+});
+
 // Update episode now with support for descriptions
 app.put('/api/episodes/:id', (req, res) => {
   const episodeId = req.params.id;
-  const episodeIndex = episodes.findIndex(e => e.id === episodeId);
+  const existingEpisode = store.get('episodes', episodeId);
   
-  if (episodeIndex === -1) {
+  if (!existingEpisode) {
     return res.status(404).json({ error: 'Episode not found' });
   }
   
-  episodes[episodeIndex] = {
-    ...episodes[episodeIndex],
-    ...req.body,
+  const { sources: requested, ...changes } = req.body;
+  const { numbering, errors: numberingErrors } = parseNumbering(changes);
+  if (numberingErrors.length > 0) {
+    return res.status(400).json(validationErrorResponse('Invalid episode numbering', numberingErrors));
+  }
+  
+  let updatedEpisode = relabel(existingEpisode, {
+    ...existingEpisode,
+    ...changes,
+    ...numbering,
     id: episodeId // Ensure ID remains the same
-  };
+  });
+  
+  const clash = store.listByAnime('episodes', updatedEpisode.animeId)
+    .find(episode => episode.id !== episodeId && episodeKey(episode) === episodeKey(updatedEpisode));
+  if (clash) {
+    return res.status(409).json({ error: `Season ${seasonOf(updatedEpisode)} already has ${episodeLabel(updatedEpisode)}`, episodeId: clash.id });
+  }
+  
+  // A new source list, or (from older clients) a new iframeSrc for the first source
+  if (requested !== undefined) {
+    const { sources, errors } = parseSources(requested, { existing: episodeSources(existingEpisode) });
+    if (errors.length > 0) {
+      return res.status(400).json(validationErrorResponse('Invalid episode sources', errors));
+    }
+    updatedEpisode = withSources(updatedEpisode, sources);
+  } else if (changes.iframeSrc !== undefined && Array.isArray(existingEpisode.sources)) {
+    updatedEpisode = withSources(updatedEpisode, setPrimaryUrl(existingEpisode.sources, changes.iframeSrc));
+  }
+  if (Array.isArray(updatedEpisode.sources) && hasTagalogSource(updatedEpisode.sources)) {
+    updatedEpisode.hasTagalogDub = true;
+  }
   
   // If title is updated but description is not, update the description
   if (req.body.title && !req.body.description) {
-    episodes[episodeIndex].description = `${req.body.title} description`;
+    updatedEpisode.description = `${req.body.title} description`;
   }
   
+  const ops = [{ type: 'put', collection: 'episodes', record: updatedEpisode }];
+  
   // Check if this is setting Tagalog dub for the first time
-  if (req.body.hasTagalogDub === true && episodes[episodeIndex].hasTagalogDub !== true) {
-    const animeIndex = customAnimeList.findIndex(a => a.id === episodes[episodeIndex].animeId);
+  const firstTagalogDub = updatedEpisode.hasTagalogDub === true && existingEpisode.hasTagalogDub !== true;
+  if (firstTagalogDub) {
+    ops.push(...tagalogDubOps(updatedEpisode.animeId, true));
+  }
+  
+  // Write to storage immediately
+  if (store.commit(ops)) {
+    if (firstTagalogDub) {
+      setCachedTagalogDub(updatedEpisode.animeId, true);
+    }
+    res.json(updatedEpisode);
+  } else {
+    res.status(500).json({ error: 'Failed to update episode' });
+  }
+});
+
+// Renumber or reorder many episodes of an anime at once. Body is either
+//   { episodes: [{ id, number?, season?, type?, arc?, displayNumber? }] }
+// or { order: [episodeId, ...], start?, step?, season?, type?, arc? } to
+// number the listed episodes in that order (from 1 by default). Nothing is
+// changed if the result would give two episodes the same season, type and
+// number. Responds with the anime's episodes in their new order.
+app.post('/api/anime/:id/episodes/renumber', (req, res) => {
+  try {
+    const animeId = req.params.id;
     
-    if (animeIndex !== -1) {
-      customAnimeList[animeIndex].hasTagalogDub = true;
-      writeData(CUSTOM_ANIME_FILE, customAnimeList);
-      
-      // Update cache if exists
-      if (animeCache.has(episodes[episodeIndex].animeId)) {
-        const cachedAnime = animeCache.get(episodes[episodeIndex].animeId);
-        cachedAnime.hasTagalogDub = true;
-        animeCache.set(episodes[episodeIndex].animeId, cachedAnime);
-      }
+    if (!store.get('anime', animeId)) {
+      return res.status(404).json({ error: 'Anime not found in our list' });
+    }
+    
+    const { updated, errors } = planRenumber(store.listByAnime('episodes', animeId), req.body || {});
+    if (errors.length > 0) {
+      return res.status(400).json(validationErrorResponse('Invalid renumbering', errors));
+    }
+    
+    const ops = updated.map(record => ({ type: 'put', collection: 'episodes', record }));
+    if (ops.length > 0 && !store.commit(ops)) {
+      return res.status(500).json({ error: 'Failed to renumber episodes' });
     }
+    
+    res.json({
+      updated: updated.length,
+      episodes: sortEpisodes(store.listByAnime('episodes', animeId)).map(withEpisodeSources)
+    });
+  } catch (error) {
+    console.error("Error renumbering episodes:", error);
+    res.status(500).json({ error: 'Failed to renumber episodes' });
+  }
+});
+
+// Video sources of an episode, best first, with the language labels
+app.get('/api/episodes/:id/sources', (req, res) => {
+  const episode = store.get('episodes', req.params.id);
+  
+  if (!episode) {
+    return res.status(404).json({ error: 'Episode not found' });
   }
   
-  // Write to disk immediately
-  if (writeData(EPISODES_FILE, episodes)) {
-    res.json(episodes[episodeIndex]);
+  res.json({ episodeId: episode.id, sources: episodeSources(episode), languages: SOURCE_LANGUAGES });
+});
+
+// Add a source to an episode
+// Body: { url (required), kind (iframe, mp4 or hls; guessed from the URL),
+// language (tagalog-dub, english-dub, japanese-filipino-sub or
+// japanese-english-sub), quality (e.g. "1080p"), priority (0 is tried first;
+// defaults to last; sources already at that priority move back one) }
+app.post('/api/episodes/:id/sources', (req, res) => {
+  const episode = store.get('episodes', req.params.id);
+  
+  if (!episode) {
+    return res.status(404).json({ error: 'Episode not found' });
+  }
+  
+  const existingSources = episodeSources(episode);
+  const { source, errors } = parseSource(req.body, { siblings: existingSources });
+  
+  if (errors.length > 0) {
+    return res.status(400).json(validationErrorResponse('Invalid source', errors));
+  }
+  
+  if (saveEpisodeSources(episode, placeSource(existingSources, source))) {
+    res.status(201).json(source);
   } else {
-    res.status(500).json({ error: 'Failed to update episode' });
+    res.status(500).json({ error: 'Failed to add source' });
+  }
+});
+
+// Replace all sources of an episode (e.g. to reorder them). Items with the id
+// of an existing source update it; the rest are added.
+// Body: { sources: [{ id?, url, kind, language, quality, priority }] }
+app.put('/api/episodes/:id/sources', (req, res) => {
+  const episode = store.get('episodes', req.params.id);
+  
+  if (!episode) {
+    return res.status(404).json({ error: 'Episode not found' });
+  }
+  
+  const { sources, errors } = parseSources(req.body.sources, { existing: episodeSources(episode) });
+  
+  if (errors.length > 0) {
+    return res.status(400).json(validationErrorResponse('Invalid sources', errors));
+  }
+  
+  const updatedEpisode = saveEpisodeSources(episode, sources);
+  if (updatedEpisode) {
+    res.json({ episodeId: episode.id, sources: updatedEpisode.sources });
+  } else {
+    res.status(500).json({ error: 'Failed to update sources' });
+  }
+});
+
+// Update one source; fields left out keep their value
+app.put('/api/episodes/:id/sources/:sourceId', (req, res) => {
+  const episode = store.get('episodes', req.params.id);
+  
+  if (!episode) {
+    return res.status(404).json({ error: 'Episode not found' });
+  }
+  
+  const existingSources = episodeSources(episode);
+  const current = existingSources.find(source => source.id === req.params.sourceId);
+  
+  if (!current) {
+    return res.status(404).json({ error: 'Source not found' });
+  }
+  
+  const { source, errors } = parseSource(req.body, { existing: current });
+  
+  if (errors.length > 0) {
+    return res.status(400).json(validationErrorResponse('Invalid source', errors));
+  }
+  
+  if (saveEpisodeSources(episode, placeSource(existingSources, source))) {
+    res.json(source);
+  } else {
+    res.status(500).json({ error: 'Failed to update source' });
+  }
+});
+
+// Remove a source; the next one becomes the episode's iframeSrc
+app.delete('/api/episodes/:id/sources/:sourceId', (req, res) => {
+  const episode = store.get('episodes', req.params.id);
+  
+  if (!episode) {
+    return res.status(404).json({ error: 'Episode not found' });
+  }
+  
+  const existingSources = episodeSources(episode);
+  
+  if (!existingSources.some(source => source.id === req.params.sourceId)) {
+    return res.status(404).json({ error: 'Source not found' });
+  }
+  
+  if (saveEpisodeSources(episode, existingSources.filter(source => source.id !== req.params.sourceId))) {
+    res.json({ message: 'Source removed successfully' });
+  } else {
+    res.status(500).json({ error: 'Failed to remove source' });
   }
 });
 
 // Update scheduled anime
 app.put('/api/scheduled/:id', async (req, res) => {
   const scheduleId = req.params.id;
-  const scheduleIndex = scheduledAnime.findIndex(s => s.id === scheduleId);
+  const existingSchedule = store.get('scheduled', scheduleId);
   
-  if (scheduleIndex === -1) {
+  if (!existingSchedule) {
     return res.status(404).json({ error: 'Scheduled anime not found' });
   }
   
@@ -1195,15 +1855,16 @@ app.put('/api/scheduled/:id', async (req, res) => {
     return res.status(400).json({ error: 'Invalid release date format' });
   }
   
-  scheduledAnime[scheduleIndex] = {
-    ...scheduledAnime[scheduleIndex],
+  const updatedSchedule = {
+    ...existingSchedule,
     ...req.body,
-    id: scheduleId // Ensure ID remains the same
+    id: scheduleId, // Ensure ID remains the same
+    source: existingSchedule.source // Synced and manual entries stay what they are
   };
   
-  // Write to disk immediately
-  if (writeData(SCHEDULED_ANIME_FILE, scheduledAnime)) {
-    res.json(scheduledAnime[scheduleIndex]);
+  // Write to storage immediately
+  if (store.update('scheduled', updatedSchedule)) {
+    res.json(updatedSchedule);
   } else {
     res.status(500).json({ error: 'Failed to update scheduled anime' });
   }
@@ -1218,52 +1879,270 @@ app.put('/api/anime/:id/tagalog', (req, res) => {
     return res.status(400).json({ error: 'hasTagalogDub field is required' });
   }
   
-  const animeIndex = customAnimeList.findIndex(a => a.id === animeId);
+  if (!store.get('anime', animeId)) {
+    return res.status(404).json({ error: 'Anime not found' });
+  }
+  
+  // Update the Tagalog dub status and write to storage immediately
+  if (setAnimeTagalogDub(animeId, hasTagalogDub === true)) {
+    res.json({ id: animeId, hasTagalogDub: hasTagalogDub === true });
+  } else {
+    res.status(500).json({ error: 'Failed to update anime' });
+  }
+});
+
+// Get the Filipino dub credits of a library anime: dub studio, network,
+// original airing year and the cast with their Tagalog voice actors
+app.get('/api/anime/:id/credits', (req, res) => {
+  const storedAnime = store.get('anime', req.params.id);
+  
+  if (!storedAnime) {
+    return res.status(404).json({ error: 'Anime not found' });
+  }
+  
+  res.json({ animeId: storedAnime.id, ...(storedAnime.credits || emptyCredits()) });
+});
+
+// Update dub credits. Fields left out keep their value; cast replaces the whole cast.
+// Body: { dubStudio, network, originalAirYear, cast: [{ characterId, name, role, voiceActors: ['Name', ...] }] }
+app.put('/api/anime/:id/credits', (req, res) => {
+  const animeId = req.params.id;
+  const storedAnime = store.get('anime', animeId);
+  
+  if (!storedAnime) {
+    return res.status(404).json({ error: 'Anime not found' });
+  }
+  
+  const { credits, errors } = parseCredits(req.body, storedAnime.credits);
+  if (errors.length > 0) {
+    return res.status(400).json(validationErrorResponse('Invalid credits', errors));
+  }
+  
+  if (setAnimeCredits(animeId, credits)) {
+    res.json({ animeId, ...credits });
+  } else {
+    res.status(500).json({ error: 'Failed to update credits' });
+  }
+});
+
+// Set the Tagalog voice actors of one character
+// Body: { voiceActors: ['Name', ...] }
+app.put('/api/anime/:id/credits/cast/:characterId', (req, res) => {
+  const { id: animeId, characterId } = req.params;
+  const storedAnime = store.get('anime', animeId);
   
-  if (animeIndex === -1) {
+  if (!storedAnime) {
     return res.status(404).json({ error: 'Anime not found' });
   }
   
-  // Update the Tagalog dub status
-  customAnimeList[animeIndex].hasTagalogDub = hasTagalogDub === true;
+  const credits = storedAnime.credits || emptyCredits();
+  const member = credits.cast.find(castMember => castMember.characterId === characterId);
+  if (!member) {
+    return res.status(404).json({ error: 'Character not found in the cast' });
+  }
+  
+  const errors = [];
+  const voiceActors = parseVoiceActors(req.body.voiceActors, 'voiceActors', errors);
+  if (req.body.voiceActors === undefined) {
+    errors.push({ path: 'voiceActors', message: 'is required' });
+  }
+  if (errors.length > 0) {
+    return res.status(400).json(validationErrorResponse('Invalid voice actors', errors));
+  }
+  
+  const updatedMember = { ...member, voiceActors };
+  const cast = credits.cast.map(castMember => (castMember === member ? updatedMember : castMember));
+  
+  if (setAnimeCredits(animeId, { ...credits, cast })) {
+    res.json(updatedMember);
+  } else {
+    res.status(500).json({ error: 'Failed to update cast' });
+  }
+});
+
+// Add the anime's characters from AniList to its cast. Characters already in
+// the cast keep their voice actors.
+app.post('/api/anime/:id/credits/characters', async (req, res) => {
+  const animeId = req.params.id;
   
-  // Write to disk immediately
-  if (writeData(CUSTOM_ANIME_FILE, customAnimeList)) {
-    // Update cache if exists
-    if (animeCache.has(animeId)) {
-      const cachedAnime = animeCache.get(animeId);
-      cachedAnime.hasTagalogDub = hasTagalogDub === true;
-      animeCache.set(animeId, cachedAnime);
+  if (!store.get('anime', animeId)) {
+    return res.status(404).json({ error: 'Anime not found' });
+  }
+  
+  try {
+    const characters = await fetchAnimeCharacters(animeId);
+    
+    // Re-read after the fetch so edits made meanwhile aren't lost
+    const storedAnime = store.get('anime', animeId);
+    if (!storedAnime) {
+      return res.status(404).json({ error: 'Anime not found' });
     }
     
-    res.json({ id: animeId, hasTagalogDub: hasTagalogDub === true });
+    const credits = storedAnime.credits || emptyCredits();
+    const cast = mergeCharacters(credits.cast, characters);
+    const added = cast.length - credits.cast.length;
+    
+    if (setAnimeCredits(animeId, { ...credits, cast })) {
+      res.json({ animeId, added, ...credits, cast });
+    } else {
+      res.status(500).json({ error: 'Failed to update cast' });
+    }
+  } catch (error) {
+    console.error("Error fetching characters:", error);
+    if (sendAniListUnavailable(res, error)) return;
+    res.status(500).json({ error: 'Failed to fetch characters' });
+  }
+});
+
+// Remove the dub credits of an anime
+app.delete('/api/anime/:id/credits', (req, res) => {
+  const animeId = req.params.id;
+  
+  if (!store.get('anime', animeId)) {
+    return res.status(404).json({ error: 'Anime not found' });
+  }
+  
+  if (setAnimeCredits(animeId, null)) {
+    res.json({ message: 'Credits removed successfully' });
   } else {
-    res.status(500).json({ error: 'Failed to update anime' });
+    res.status(500).json({ error: 'Failed to remove credits' });
   }
 });
 
-// Remove anime from list
-app.delete('/api/anime/:id', (req, res) => {
+// Get the overrides of a library anime next to the provider's values
+app.get('/api/anime/:id/overrides', async (req, res) => {
+  const animeId = req.params.id;
+  const storedAnime = store.get('anime', animeId);
+  
+  if (!storedAnime) {
+    return res.status(404).json({ error: 'Anime not found' });
+  }
+  
+  const overrides = storedAnime.overrides || {};
+  let upstreamDetail = null;
+  try {
+    upstreamDetail = await animeCache.get(animeId);
+  } catch (error) {
+    // Still show the overrides when the provider can't be reached
+    console.error(`Failed to fetch anime details for ID ${animeId}:`, error.message);
+  }
+  
+  const upstream = {};
+  Object.keys(overrides).forEach(field => {
+    upstream[field] = upstreamDetail ? upstreamDetail[field] : null;
+  });
+  
+  res.json({ animeId, overrides, upstream });
+});
+
+// Set override fields; null resets a field to the provider's value
+// Body: { title: 'Filipino title', description: 'Tagalog synopsis', banner: 'https://...', ... }
+app.put('/api/anime/:id/overrides', (req, res) => {
+  const animeId = req.params.id;
+  const storedAnime = store.get('anime', animeId);
+  
+  if (!storedAnime) {
+    return res.status(404).json({ error: 'Anime not found' });
+  }
+  
+  const { overrides, errors } = parseOverrides(req.body, storedAnime.overrides);
+  if (errors.length > 0) {
+    return res.status(400).json(validationErrorResponse('Invalid overrides', errors));
+  }
+  
+  if (setAnimeOverrides(animeId, overrides)) {
+    res.json({ animeId, overrides });
+  } else {
+    res.status(500).json({ error: 'Failed to update overrides' });
+  }
+});
+
+// Reset one field to the provider's value
+app.delete('/api/anime/:id/overrides/:field', (req, res) => {
+  const { id: animeId, field } = req.params;
+  const storedAnime = store.get('anime', animeId);
+  
+  if (!storedAnime) {
+    return res.status(404).json({ error: 'Anime not found' });
+  }
+  
+  const overrides = { ...(storedAnime.overrides || {}) };
+  if (overrides[field] === undefined) {
+    return res.status(404).json({ error: `${field} is not overridden` });
+  }
+  delete overrides[field];
+  
+  if (setAnimeOverrides(animeId, overrides)) {
+    res.json({ animeId, overrides });
+  } else {
+    res.status(500).json({ error: 'Failed to reset override' });
+  }
+});
+
+// Reset every overridden field
+app.delete('/api/anime/:id/overrides', (req, res) => {
   const animeId = req.params.id;
   
-  // Remove from custom list
-  customAnimeList = customAnimeList.filter(a => a.id !== animeId);
+  if (!store.get('anime', animeId)) {
+    return res.status(404).json({ error: 'Anime not found' });
+  }
   
-  // Remove associated episodes
-  episodes = episodes.filter(e => e.animeId !== animeId);
+  if (setAnimeOverrides(animeId, {})) {
+    res.json({ animeId, overrides: {} });
+  } else {
+    res.status(500).json({ error: 'Failed to reset overrides' });
+  }
+});
+
+// List the Tagalog voice actors credited anywhere in the library
+app.get('/api/voice-actors', (req, res) => {
+  res.json(listVoiceActors(store.all('anime')));
+});
+
+// All shows voiced by one actor, with the characters they played
+app.get('/api/voice-actors/:id', async (req, res) => {
+  const actorId = req.params.id;
+  const library = store.all('anime');
+  const actor = listVoiceActors(library).find(voiceActor => voiceActor.id === actorId);
   
-  // Remove from scheduled anime
-  scheduledAnime = scheduledAnime.filter(s => s.animeId !== animeId);
+  if (!actor) {
+    return res.status(404).json({ error: 'Voice actor not found' });
+  }
+  
+  try {
+    const credits = creditsForActor(library, actorId);
+    const detailsById = await animeCache.getMany(credits.map(credit => credit.animeId));
+    
+    res.json({
+      ...actor,
+      credits: credits.map(credit => {
+        const details = detailsById.has(credit.animeId) ? withOverrides(detailsById.get(credit.animeId)) : null;
+        return {
+          ...credit,
+          title: details ? details.title : null,
+          thumbnail: details ? details.thumbnail : null
+        };
+      })
+    });
+  } catch (error) {
+    console.error("Error fetching voice actor credits:", error);
+    res.status(500).json({ error: 'Failed to fetch voice actor credits' });
+  }
+});
+
+// Remove anime from list
+app.delete('/api/anime/:id', (req, res) => {
+  const animeId = req.params.id;
   
   // Clear from cache
   animeCache.delete(animeId);
   
-  // Write to disk immediately
-  if (
-    writeData(CUSTOM_ANIME_FILE, customAnimeList) && 
-    writeData(EPISODES_FILE, episodes) &&
-    writeData(SCHEDULED_ANIME_FILE, scheduledAnime)
-  ) {
+  // Remove from custom list, along with associated episodes and scheduled entries, in one commit
+  if (store.commit([
+    { type: 'delete', collection: 'anime', id: animeId },
+    { type: 'deleteByAnime', collection: 'episodes', animeId },
+    { type: 'deleteByAnime', collection: 'scheduled', animeId }
+  ])) {
     res.json({ message: 'Anime and associated data removed successfully' });
   } else {
     res.status(500).json({ error: 'Failed to remove anime' });
@@ -1273,16 +2152,12 @@ app.delete('/api/anime/:id', (req, res) => {
 // Delete episode
 app.delete('/api/episodes/:id', (req, res) => {
   const episodeId = req.params.id;
-  const episodeIndex = episodes.findIndex(e => e.id === episodeId);
-  
-  if (episodeIndex === -1) {
+  if (!store.get('episodes', episodeId)) {
     return res.status(404).json({ error: 'Episode not found' });
   }
   
-  episodes.splice(episodeIndex, 1);
-  
-  // Write to disk immediately
-  if (writeData(EPISODES_FILE, episodes)) {
+  // Write to storage immediately
+  if (store.remove('episodes', episodeId)) {
     res.json({ message: 'Episode deleted successfully' });
   } else {
     res.status(500).json({ error: 'Failed to delete episode' });
@@ -1292,42 +2167,46 @@ app.delete('/api/episodes/:id', (req, res) => {
 // Delete scheduled anime
 app.delete('/api/scheduled/:id', (req, res) => {
   const scheduleId = req.params.id;
-  const scheduleIndex = scheduledAnime.findIndex(s => s.id === scheduleId);
-  
-  if (scheduleIndex === -1) {
+  if (!store.get('scheduled', scheduleId)) {
     return res.status(404).json({ error: 'Scheduled anime not found' });
   }
   
-  scheduledAnime.splice(scheduleIndex, 1);
-  
-  // Write to disk immediately
-  if (writeData(SCHEDULED_ANIME_FILE, scheduledAnime)) {
+  // Write to storage immediately
+  if (store.remove('scheduled', scheduleId)) {
     res.json({ message: 'Scheduled anime deleted successfully' });
   } else {
     res.status(500).json({ error: 'Failed to delete scheduled anime' });
   }
 });
 
-// Search anime on AniList
+// Search anime with the metadata providers (AniList first by default)
+// Query: query (search term), page, perPage (max 50), genre (comma-separated,
+// all must match), season, seasonYear, format, status, country (e.g. JP),
+// isAdult. A search term or at least one filter is required.
+// Responds with { results, pageInfo }; results already in the library have inLibrary: true.
 app.get('/api/search', async (req, res) => {
-  const { query } = req.query;
+  const { variables, errors } = parseSearchParams(req.query);
   
-  if (!query) {
-    return res.status(400).json({ error: 'Query parameter required' });
+  if (errors.length > 0) {
+    return res.status(400).json(validationErrorResponse('Invalid search parameters', errors));
   }
   
   try {
-    const response = await axios.post(ANILIST_API, {
-      query: searchAnimeQuery,
-      variables: { search: query }
+    const { results: found, pageInfo } = await metadata.search(variables);
+    
+    const results = found.map(anime => {
+      const storedAnime = store.get('anime', anime.id);
+      return {
+        ...anime,
+        inLibrary: Boolean(storedAnime),
+        hasTagalogDub: storedAnime ? storedAnime.hasTagalogDub === true : false
+      };
     });
     
-    // Format the data
-    const searchResults = formatSearchResults(response.data);
-    
-    res.json(searchResults);
+    res.json({ results, pageInfo });
   } catch (error) {
     console.error("Error searching anime:", error);
+    if (sendAniListUnavailable(res, error)) return;
     res.status(500).json({ error: 'Failed to search anime' });
   }
 });
@@ -1335,11 +2214,12 @@ app.get('/api/search', async (req, res) => {
 // Export data
 app.get('/api/export', (req, res) => {
   const exportData = {
-    anime: customAnimeList,
-    episodes,
-    scheduled: scheduledAnime,
+    anime: store.all('anime'),
+    episodes: store.all('episodes'),
+    scheduled: store.all('scheduled'),
     exportDate: new Date().toISOString(),
-    exportVersion: "1.2"
+    exportVersion: CURRENT_EXPORT_VERSION,
+    ...store.dataset
   };
   
   // Update export timestamp
@@ -1348,42 +2228,131 @@ app.get('/api/export', (req, res) => {
   res.json(exportData);
 });
 
+// Delta sync for browser replicas (public/js/persistence.js)
+// GET /api/changes?since=<rev>&generation=<id> returns records written and ids
+// deleted after that revision. Clients store `rev` and `generation` from the
+// response and send them next time. `full: true` means the upserts are a
+// complete copy and the client should replace its data (first sync, another
+// generation, or too far behind to send just the changes).
+app.get('/api/changes', (req, res) => {
+  try {
+    const since = req.query.since === undefined ? 0 : Number(req.query.since);
+
+    if (!Number.isInteger(since) || since < 0) {
+      return res.status(400).json({ error: 'since must be a non-negative integer revision' });
+    }
+
+    res.json({
+      ...store.changesSince(since, req.query.generation),
+      lastModified: store.dataset.lastModified,
+      exportVersion: CURRENT_EXPORT_VERSION
+    });
+  } catch (error) {
+    console.error("Error listing changes:", error);
+    res.status(500).json({ error: 'Failed to list changes' });
+  }
+});
+
 // Import data endpoint
+// Query options:
+//   mode=replace (default) swaps every collection for the imported one
+//   mode=merge matches records by id (episodes by animeId + season, type
+//     and number) and
+//     settles differences with rules[anime|episodes|scheduled]=keep-local|take-incoming|newest|manual
+//   dryRun=true reports what would happen without writing anything
 app.post('/api/import', (req, res) => {
   try {
-    const importData = req.body;
+    const mode = req.query.mode || 'replace';
+    const dryRun = req.query.dryRun === 'true' || req.query.dryRun === '1';
+    const rules = req.query.rules && typeof req.query.rules === 'object' ? req.query.rules : {};
     
-    if (!importData || typeof importData !== 'object') {
-      return res.status(400).json({ error: 'Invalid import data format' });
+    if (mode !== 'replace' && mode !== 'merge') {
+      return res.status(400).json({ error: 'mode must be "replace" or "merge"' });
     }
     
-    // Validate the import data structure
-    if (!Array.isArray(importData.anime) || !Array.isArray(importData.episodes) || !Array.isArray(importData.scheduled)) {
-      return res.status(400).json({ error: 'Import data missing required arrays' });
+    const invalidRule = Object.entries(rules).find(([collection, rule]) => !COLLECTIONS.includes(collection) || !MERGE_RULES.includes(rule));
+    if (invalidRule) {
+      return res.status(400).json({ error: `Invalid merge rule ${invalidRule[0]}=${invalidRule[1]} (rules: ${MERGE_RULES.join(', ')})` });
     }
     
-    // Update in-memory data
-    customAnimeList = importData.anime;
-    episodes = importData.episodes;
-    scheduledAnime = importData.scheduled;
+    // Validate every record and upgrade older export versions
+    const { data: importData, fromVersion, errors, warnings } = prepareImport(req.body);
+    if (!importData) {
+      return res.status(400).json(validationErrorResponse('Invalid import data', errors));
+    }
+    const importInfo = { fromVersion, toVersion: CURRENT_EXPORT_VERSION, warnings };
+    
+    if (mode === 'merge') {
+      const live = {};
+      COLLECTIONS.forEach(collection => { live[collection] = store.all(collection); });
+      
+      const { report, ops } = planMerge({ local: live, incoming: importData, rules });
+      
+      if (dryRun) {
+        return res.json({ message: 'Dry run - nothing was written', mode, dryRun, ...importInfo, report });
+      }
+      
+      if (ops.length > 0) {
+        backups.create({ trigger: 'pre-import', note: 'Before merge import' });
+        
+        if (!store.commit(ops)) {
+          return res.status(500).json({ error: 'Failed to import data' });
+        }
+        
+        // Drop cached details for anime whose stored entry changed
+        report.anime.updated.forEach(entry => animeCache.delete(entry.id));
+      }
+      
+      lastExportTimestamp = Date.now();
+      
+      return res.json({
+        message: 'Merge import successful',
+        mode,
+        dryRun,
+        ...importInfo,
+        report,
+        counts: {
+          anime: store.count('anime'),
+          episodes: store.count('episodes'),
+          scheduled: store.count('scheduled')
+        }
+      });
+    }
+    
+    if (dryRun) {
+      // Everything currently stored is swapped out; show what that would change
+      const report = {};
+      COLLECTIONS.forEach(collection => {
+        report[collection] = diffCollection(store.all(collection), importData[collection]);
+      });
+      return res.json({ message: 'Dry run - nothing was written', mode, dryRun, ...importInfo, report });
+    }
+    
+    backups.create({ trigger: 'pre-import', note: 'Before replace import' });
+    
+    // Replace stored data in a single commit. This is different data now, so
+    // it starts a new generation and browser replicas resync from scratch.
+    if (!store.commit([
+      { type: 'replace', collection: 'anime', records: importData.anime },
+      { type: 'replace', collection: 'episodes', records: importData.episodes },
+      { type: 'replace', collection: 'scheduled', records: importData.scheduled }
+    ], { generation: true })) {
+      return res.status(500).json({ error: 'Failed to import data' });
+    }
     
     // Clear cache to force refresh
     animeCache.clear();
     
-    // Write to disk immediately
-    writeData(CUSTOM_ANIME_FILE, customAnimeList);
-    writeData(EPISODES_FILE, episodes);
-    writeData(SCHEDULED_ANIME_FILE, scheduledAnime);
-    
     dataLoaded = true;
     lastExportTimestamp = Date.now();
     
     res.json({ 
       message: 'Import successful', 
+      ...importInfo,
       counts: {
-        anime: customAnimeList.length,
-        episodes: episodes.length,
-        scheduled: scheduledAnime.length
+        anime: store.count('anime'),
+        episodes: store.count('episodes'),
+        scheduled: store.count('scheduled')
       } 
     });
   } catch (error) {
@@ -1392,12 +2361,251 @@ app.post('/api/import', (req, res) => {
   }
 });
 
+// List backup snapshots with their record counts
+app.get('/api/backups', (req, res) => {
+  try {
+    res.json(backups.list());
+  } catch (error) {
+    console.error("Error listing backups:", error);
+    res.status(500).json({ error: 'Failed to list backups' });
+  }
+});
+
+// Take a snapshot now
+app.post('/api/backups', (req, res) => {
+  try {
+    const snapshot = backups.create({ trigger: 'manual', note: (req.body && req.body.note) || '' });
+    res.status(201).json(snapshot);
+  } catch (error) {
+    console.error("Error creating backup:", error);
+    res.status(500).json({ error: 'Failed to create backup: ' + error.message });
+  }
+});
+
+// Get a single snapshot's details
+app.get('/api/backups/:id', (req, res) => {
+  const snapshot = backups.get(req.params.id);
+  
+  if (!snapshot) {
+    return res.status(404).json({ error: 'Backup not found' });
+  }
+  
+  res.json(snapshot);
+});
+
+// Compare a snapshot with live data (added/removed/changed since the snapshot)
+app.get('/api/backups/:id/diff', (req, res) => {
+  try {
+    const diff = backups.diff(req.params.id);
+    
+    if (!diff) {
+      return res.status(404).json({ error: 'Backup not found' });
+    }
+    
+    res.json({ id: req.params.id, ...diff });
+  } catch (error) {
+    console.error("Error comparing backup:", error);
+    res.status(500).json({ error: 'Failed to compare backup' });
+  }
+});
+
+// Restore a whole snapshot, or a single collection with { collection: 'anime' | 'episodes' | 'scheduled' }
+app.post('/api/backups/:id/restore', (req, res) => {
+  const collection = req.body && req.body.collection;
+  
+  if (collection && !COLLECTIONS.includes(collection)) {
+    return res.status(400).json({ error: `Collection must be one of: ${COLLECTIONS.join(', ')}` });
+  }
+  
+  try {
+    const result = backups.restore(req.params.id, collection);
+    
+    if (!result) {
+      return res.status(404).json({ error: 'Backup not found' });
+    }
+    
+    if (!result.ok) {
+      return res.status(500).json({ error: 'Failed to restore backup' });
+    }
+    
+    // Clear cache so restored anime entries are refetched
+    if (result.restored.includes('anime')) {
+      animeCache.clear();
+    }
+    
+    res.json({ 
+      message: 'Backup restored successfully',
+      restored: result.restored,
+      safetySnapshot: result.safetySnapshot,
+      counts: {
+        anime: store.count('anime'),
+        episodes: store.count('episodes'),
+        scheduled: store.count('scheduled')
+      }
+    });
+  } catch (error) {
+    console.error("Error restoring backup:", error);
+    res.status(500).json({ error: 'Failed to restore backup: ' + error.message });
+  }
+});
+
+// Inspect the AniList metadata cache
+app.get('/api/cache', (req, res) => {
+  try {
+    const entries = animeCache.list();
+    
+    res.json({
+      size: entries.length,
+      stale: entries.filter(entry => entry.stale).length,
+      ttlMinutes: ANILIST_CACHE_TTL_MINUTES,
+      entries
+    });
+  } catch (error) {
+    console.error("Error listing cache:", error);
+    res.status(500).json({ error: 'Failed to list cache' });
+  }
+});
+
+// Drop every cached entry; anime are refetched on their next request
+app.post('/api/cache/clear', (req, res) => {
+  try {
+    const cleared = animeCache.clear();
+    console.log(`Cleared ${cleared} cached anime entries`);
+    res.json({ message: 'Cache cleared successfully', cleared });
+  } catch (error) {
+    console.error("Error clearing cache:", error);
+    res.status(500).json({ error: 'Failed to clear cache' });
+  }
+});
+
+// Drop one anime from the cache
+app.delete('/api/cache/:id', (req, res) => {
+  try {
+    if (!animeCache.delete(req.params.id)) {
+      return res.status(404).json({ error: 'Anime is not cached' });
+    }
+    
+    res.json({ message: 'Cache entry removed' });
+  } catch (error) {
+    console.error("Error invalidating cache entry:", error);
+    res.status(500).json({ error: 'Failed to invalidate cache entry' });
+  }
+});
+
+// Recent AniList metadata changes for library anime, newest first
+// Query: limit (default 50), animeId, since (ISO date)
+app.get('/api/metadata/changes', (req, res) => {
+  try {
+    const limit = req.query.limit === undefined ? 50 : parseInt(req.query.limit);
+    
+    if (isNaN(limit) || limit < 1) {
+      return res.status(400).json({ error: 'limit must be a positive number' });
+    }
+    
+    if (req.query.since && isNaN(Date.parse(req.query.since))) {
+      return res.status(400).json({ error: 'since must be a date' });
+    }
+    
+    res.json({
+      changes: metadataChanges.list({
+        limit,
+        animeId: req.query.animeId,
+        since: req.query.since && new Date(req.query.since).toISOString()
+      }),
+      refresh: metadataRefresher.status()
+    });
+  } catch (error) {
+    console.error("Error listing metadata changes:", error);
+    res.status(500).json({ error: 'Failed to list metadata changes' });
+  }
+});
+
+// Run the metadata refresh now. Body: { ids } to refresh specific library
+// anime, { all: true } for the whole library; otherwise whatever is due.
+app.post('/api/metadata/refresh', async (req, res) => {
+  try {
+    const { ids, all } = req.body || {};
+    
+    if (ids !== undefined && (!Array.isArray(ids) || ids.some(id => !store.get('anime', String(id))))) {
+      return res.status(400).json({ error: 'ids must be a list of anime in the library' });
+    }
+    
+    const result = await metadataRefresher.run({
+      ids: ids ? ids.map(String) : (all ? store.all('anime').map(anime => anime.id) : undefined)
+    });
+    
+    res.json({
+      ...result,
+      changes: metadataChanges.list({ since: result.startedAt, limit: result.checked })
+    });
+  } catch (error) {
+    console.error("Error refreshing metadata:", error);
+    res.status(500).json({ error: 'Failed to refresh metadata' });
+  }
+});
+
+// Episodes with broken video links, grouped by anime and by host, plus the
+// state of the link check job. Query: animeId
+app.get('/api/link-health', (req, res) => {
+  try {
+    const { animeId } = req.query;
+    const results = linkChecker.list(animeId);
+    
+    const report = buildReport(results, {
+      describe: (id) => {
+        const detail = withOverrides(animeCache.peek(id) || store.get('anime', id) || { id });
+        return { title: detail.title || null, thumbnail: detail.thumbnail || null };
+      },
+      getEpisode: (episodeId) => store.get('episodes', episodeId)
+    });
+    
+    res.json({
+      summary: {
+        sources: results.length,
+        failing: results.filter(result => !result.ok).length,
+        broken: results.filter(result => result.broken).length,
+        brokenEpisodes: new Set(results.filter(result => result.broken).map(result => result.episodeId)).size
+      },
+      ...report,
+      job: linkChecker.status()
+    });
+  } catch (error) {
+    console.error("Error building link health report:", error);
+    res.status(500).json({ error: 'Failed to build link health report' });
+  }
+});
+
+// Check the links of one anime's episodes now
+app.post('/api/link-health/anime/:id/recheck', async (req, res) => {
+  try {
+    const animeId = req.params.id;
+    
+    if (!store.get('anime', animeId)) {
+      return res.status(404).json({ error: 'Anime not found' });
+    }
+    
+    const result = await linkChecker.run({ animeId });
+    
+    res.json({
+      ...result,
+      results: linkChecker.list(animeId)
+    });
+  } catch (error) {
+    console.error("Error rechecking links:", error);
+    res.status(500).json({ error: 'Failed to recheck links' });
+  }
+});
+
 // Health check endpoint for monitoring
 app.get('/health', (req, res) => {
   const dataStatus = {
-    customAnimeCount: customAnimeList.length,
-    episodesCount: episodes.length,
-    scheduledCount: scheduledAnime.length,
+    customAnimeCount: store.count('anime'),
+    episodesCount: store.count('episodes'),
+    scheduledCount: store.count('scheduled'),
+    storageDriver: store.driver,
+    generation: store.dataset.generation,
+    revision: store.revision,
+    lastModified: store.dataset.lastModified,
     cacheSize: animeCache.size,
     lastSync: lastExportTimestamp ? new Date(lastExportTimestamp).toISOString() : null
   };
@@ -1405,7 +2613,9 @@ app.get('/health', (req, res) => {
   res.status(200).json({ 
     status: 'ok', 
     timestamp: new Date().toISOString(),
-    dataStats: dataStatus
+    dataStats: dataStatus,
+    anilist: anilist.state(),
+    metadataProviders: metadata.names
   });
 });
 
@@ -1413,47 +2623,28 @@ app.get('/health', (req, res) => {
 setInterval(() => {
   try {
     console.log(`Health check at ${new Date().toISOString()}`);
-    console.log(`Data stats: Anime=${customAnimeList.length}, Episodes=${episodes.length}, Scheduled=${scheduledAnime.length}`);
+    console.log(`Data stats: Anime=${store.count('anime')}, Episodes=${store.count('episodes')}, Scheduled=${store.count('scheduled')}`);
   } catch (error) {
     console.error('Health check error:', error.message);
   }
 }, 300000); // 5 minutes in milliseconds
 
+// Metadata refresh job: checks which library anime are due every 30 minutes by default
+const metadataRefreshInterval = intervalFromEnv('METADATA_REFRESH_INTERVAL_MINUTES', 30, 60 * 1000);
+metadataRefresher.start(metadataRefreshInterval);
+
+// Link check job: probes every episode's video sources every 6 hours by default
+const linkCheckInterval = intervalFromEnv('LINK_CHECK_INTERVAL_HOURS', 6, 60 * 60 * 1000);
+linkChecker.start(linkCheckInterval);
+
 // Data backup job (every 24 hours)
 const backupInterval = 24 * 60 * 60 * 1000; // 24 hours
 setInterval(() => {
   console.log("Running scheduled data backup...");
   
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-  const backupDir = path.join(DATA_DIR, 'backups', timestamp);
-  
   try {
-    // Create backup directory
-    fs.mkdirSync(backupDir, { recursive: true });
-    
-    // Copy data files to backup
-    fs.copyFileSync(CUSTOM_ANIME_FILE, path.join(backupDir, 'custom_anime.json'));
-    fs.copyFileSync(EPISODES_FILE, path.join(backupDir, 'episodes.json'));
-    fs.copyFileSync(SCHEDULED_ANIME_FILE, path.join(backupDir, 'scheduled_anime.json'));
-    
-    console.log(`Backup completed to ${backupDir}`);
-    
-    // Clean up old backups (keep only the last 7)
-    const backupsBaseDir = path.join(DATA_DIR, 'backups');
-    if (fs.existsSync(backupsBaseDir)) {
-      const backupFolders = fs.readdirSync(backupsBaseDir)
-        .filter(f => fs.statSync(path.join(backupsBaseDir, f)).isDirectory())
-        .sort((a, b) => b.localeCompare(a)); // Sort descending (newest first)
-      
-      // Delete older backups beyond the 7th one
-      if (backupFolders.length > 7) {
-        backupFolders.slice(7).forEach(folder => {
-          const folderPath = path.join(backupsBaseDir, folder);
-          fs.rmSync(folderPath, { recursive: true, force: true });
-          console.log(`Removed old backup: ${folderPath}`);
-        });
-      }
-    }
+    // Snapshot the live data; only the last 7 scheduled snapshots are kept
+    backups.create({ trigger: 'scheduled' });
   } catch (error) {
     console.error("Backup operation failed:", error);
   }
@@ -1564,6 +2755,7 @@ app.listen(PORT, HOST, () => {
   console.log(`Server running on http://${HOST}:${PORT}`);
   console.log(`Visit http://${HOST}:${PORT}/keepalive to keep the server alive`);
   console.log(`Data directory: ${DATA_DIR}`);
+  console.log(`Metadata providers: ${metadata.names.join(', ')}`);
 });
 
 // Handle errors gracefully
@@ -1573,9 +2765,7 @@ process.on('uncaughtException', (error) => {
   // Try to save data on critical error
   try {
     console.log("Attempting to save data before shutdown due to uncaught exception...");
-    writeData(CUSTOM_ANIME_FILE, customAnimeList);
-    writeData(EPISODES_FILE, episodes);
-    writeData(SCHEDULED_ANIME_FILE, scheduledAnime);
+    store.flush();
     console.log("Emergency data save completed");
   } catch (saveError) {
     console.error("Failed to save data during shutdown:", saveError);
@@ -1592,9 +2782,8 @@ process.on('SIGINT', () => {
   
   // Save all data before exit
   console.log("Saving data before shutdown...");
-  writeData(CUSTOM_ANIME_FILE, customAnimeList);
-  writeData(EPISODES_FILE, episodes);
-  writeData(SCHEDULED_ANIME_FILE, scheduledAnime);
+  store.close();
+  animeCache.flush();
   console.log("Final data save completed");
   
   process.exit(0);